@@ -0,0 +1,57 @@
+// Signature des mises à jour du launcher (à exécuter sur la machine de release).
+//   node scripts/sign-update.js keygen [dossier]      → génère une paire Ed25519, affiche la clé publique
+//   node scripts/sign-update.js sign <clé-privée.pem> → écrit update-manifest.json(.sig) à la racine du dépôt
+// Le manifest et sa signature sont ensuite commités avec la release: le launcher refuse toute archive
+// dont un fichier n'est pas listé ou ne correspond pas à son empreinte.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const { MANIFEST_NAME, SIGNATURE_NAME, ED25519_SPKI_PREFIX, sha256File } = require('../src/updateVerify');
+
+const repoRoot = path.join(__dirname, '..');
+// Contenu de l'archive de branche copié par le launcher (node_modules n'est pas versionné)
+const SIGNED_ROOTS = ['assets', 'src', 'package.json', 'package-lock.json'];
+
+function keygen(outDir) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const keyPath = path.join(outDir, 'update-signing-key.pem');
+  if (fs.existsSync(keyPath)) throw new Error(`${keyPath} existe déjà`);
+  fs.writeFileSync(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  const raw = publicKey.export({ type: 'spki', format: 'der' }).subarray(ED25519_SPKI_PREFIX.length);
+  console.log(`Clé privée: ${keyPath} (ne jamais la commiter)`);
+  console.log(`UPDATE_PUBLIC_KEY (src/updateVerify.js): ${raw.toString('base64')}`);
+}
+
+async function sign(keyFile) {
+  const privateKey = crypto.createPrivateKey(fs.readFileSync(keyFile));
+  const tracked = execFileSync('git', ['ls-files', '-z', '--', ...SIGNED_ROOTS], { cwd: repoRoot })
+    .toString('utf8').split('\0').filter(Boolean).sort();
+  const files = [];
+  for (const rel of tracked) {
+    const abs = path.join(repoRoot, ...rel.split('/'));
+    if (!fs.existsSync(abs)) continue;
+    files.push({ path: rel, sha256: await sha256File(abs), size: fs.statSync(abs).size });
+  }
+  const pkg = JSON.parse(fs.readFileSync(path.join(repoRoot, 'package.json'), 'utf8'));
+  const manifest = { version: pkg.version, createdAt: new Date().toISOString(), files };
+  const buf = Buffer.from(JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+  fs.writeFileSync(path.join(repoRoot, MANIFEST_NAME), buf);
+  fs.writeFileSync(path.join(repoRoot, SIGNATURE_NAME), crypto.sign(null, buf, privateKey).toString('base64') + '\n');
+  console.log(`${MANIFEST_NAME}: ${files.length} fichiers signés (v${pkg.version})`);
+}
+
+(async () => {
+  const [cmd, arg] = process.argv.slice(2);
+  try {
+    if (cmd === 'keygen') keygen(path.resolve(arg || '.'));
+    else if (cmd === 'sign' && arg) await sign(path.resolve(arg));
+    else {
+      console.error('Usage: node scripts/sign-update.js keygen [dossier] | sign <clé-privée.pem>');
+      process.exitCode = 1;
+    }
+  } catch (e) {
+    console.error(e?.message || String(e));
+    process.exitCode = 1;
+  }
+})();
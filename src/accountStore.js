@@ -0,0 +1,190 @@
+// Comptes Azuriom enregistrés (<eminiumDir>/accounts.json): plusieurs sessions, un compte actif.
+// Chaque compte garde ses champs publics en clair (nom, UUID, grade) pour l'interface, ses secrets
+// chiffrés sous "secure" (credentialStore.js) et ses derniers réglages utilisés (serveur, mémoire, vidéo).
+// L'ancien user.json (un seul profil) est repris comme premier compte.
+const fs = require('fs');
+const path = require('path');
+const credentialStore = require('./credentialStore');
+
+const STORE_NAME = 'accounts.json';
+const LEGACY_NAME = 'user.json';
+// Champs chiffrés; le reste reste lisible pour l'interface
+const SECRET_FIELDS = ['access_token', 'email'];
+
+let storePath = null;
+let legacyPath = null;
+
+function init(baseDir) {
+  storePath = path.join(baseDir, STORE_NAME);
+  legacyPath = path.join(baseDir, LEGACY_NAME);
+}
+
+// Identifiant stable d'un compte: id utilisateur Azuriom, à défaut UUID puis pseudo
+// (l'UUID peut être dérivé du pseudo quand le site n'en fournit pas)
+const accountKey = (profile) => (profile.id != null && profile.id !== '' ? `id:${profile.id}` : String(profile.uuid || profile.name || ''));
+
+function readJson(file) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch { return null; }
+}
+
+function writeStore(store) {
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+  const tmp = `${storePath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(store, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, storePath);
+}
+
+// Compte enregistré → profil complet (secrets déchiffrés; absents si illisibles)
+function openAccount(stored) {
+  const { secure, settings, lastUsedAt, key, ...profile } = stored;
+  const secrets = secure ? credentialStore.unseal(secure) : null;
+  return Object.assign(profile, secrets || {});
+}
+
+// Profil complet → compte enregistré (secrets chiffrés)
+function sealAccount(profile, extra = {}) {
+  const stored = { key: accountKey(profile) };
+  const secrets = {};
+  for (const [k, v] of Object.entries(profile || {})) {
+    if (SECRET_FIELDS.includes(k)) secrets[k] = v;
+    else stored[k] = v;
+  }
+  stored.secure = credentialStore.seal(secrets);
+  return Object.assign(stored, extra);
+}
+
+// Secrets en clair (ancien format) ou chiffrés par le repli alors qu'un trousseau est disponible
+function needsReseal(stored, scheme) {
+  if (SECRET_FIELDS.some(k => stored[k] != null)) return true;
+  return !!(stored.secure && stored.secure.scheme !== scheme && credentialStore.unseal(stored.secure));
+}
+
+function load() {
+  const store = readJson(storePath);
+  if (store && Array.isArray(store.accounts)) return migrateSecrets(store);
+  // Premier démarrage avec ce format: user.json devient le premier compte
+  const legacy = readJson(legacyPath);
+  const next = { active: null, accounts: [] };
+  if (legacy && typeof legacy === 'object') {
+    const profile = openAccount(Object.assign({}, legacy));
+    for (const k of SECRET_FIELDS) if (legacy[k] != null) profile[k] = legacy[k];
+    next.accounts.push(Object.assign({ key: accountKey(profile) }, legacy, { lastUsedAt: new Date().toISOString() }));
+    next.active = accountKey(profile);
+  }
+  if (!credentialStore.currentScheme()) return next; // application pas encore prête: rien n'est écrit
+  const migrated = migrateSecrets(next, true);
+  try { fs.rmSync(legacyPath, { force: true }); } catch { }
+  return migrated;
+}
+
+function migrateSecrets(store, force = false) {
+  const scheme = credentialStore.currentScheme();
+  if (!scheme) return store;
+  let changed = force;
+  store.accounts = store.accounts.map((stored) => {
+    if (!needsReseal(stored, scheme)) return stored;
+    changed = true;
+    const { settings, lastUsedAt } = stored;
+    const profile = openAccount(Object.assign({}, stored));
+    for (const k of SECRET_FIELDS) if (stored[k] != null) profile[k] = stored[k];
+    return sealAccount(profile, { key: stored.key, settings, lastUsedAt });
+  });
+  if (changed) {
+    try { writeStore(store); } catch { }
+  }
+  return store;
+}
+
+function find(store, key) {
+  return store.accounts.find(a => a.key === key) || null;
+}
+
+// Entrée existante du profil: par sa clé connue (vérification), sinon par la clé calculée ou l'id Azuriom
+function findExisting(store, profile, key) {
+  if (key) return find(store, key);
+  return find(store, accountKey(profile))
+    || (profile.id != null ? store.accounts.find(a => a.id != null && String(a.id) === String(profile.id)) : null)
+    || null;
+}
+
+// Profil du compte actif, null si aucun
+function activeProfile() {
+  const store = load();
+  const stored = store.active ? find(store, store.active) : null;
+  return stored ? openAccount(Object.assign({}, stored)) : null;
+}
+
+function activeKey() {
+  return load().active || null;
+}
+
+function getProfile(key) {
+  const stored = find(load(), key);
+  return stored ? openAccount(Object.assign({}, stored)) : null;
+}
+
+// Champs publics pour le sélecteur de comptes, du plus récemment utilisé au plus ancien
+function list() {
+  const store = load();
+  return store.accounts
+    .map(a => ({ key: a.key, name: a.name, uuid: a.uuid, grade: a.grade || null, gradeColor: a.gradeColor || null, lastUsedAt: a.lastUsedAt || null, active: a.key === store.active }))
+    .sort((a, b) => String(b.lastUsedAt || '').localeCompare(String(a.lastUsedAt || '')));
+}
+
+// Ajoute ou met à jour un compte (connexion, vérification de session); activate: le rendre actif.
+// key: entrée à mettre à jour (vérification); si elle a été retirée entre-temps, rien n'est ré-ajouté.
+// Retourne la clé du compte, qui change si la réponse du site en donne une nouvelle (id reçu, pseudo changé).
+function save(profile, { activate = true, key = null } = {}) {
+  const store = load();
+  const prev = findExisting(store, profile, key);
+  if (key && !prev) return null;
+  const lastUsedAt = activate || !prev ? new Date().toISOString() : prev.lastUsedAt;
+  const stored = sealAccount(profile, { settings: prev?.settings || null, lastUsedAt });
+  if (prev) {
+    // Remplacée sur place; un doublon déjà enregistré sous la nouvelle clé disparaît
+    store.accounts = store.accounts.filter(a => a === prev || a.key !== stored.key).map(a => (a === prev ? stored : a));
+    if (store.active === prev.key) store.active = stored.key;
+  } else {
+    store.accounts.push(stored);
+  }
+  if (activate) store.active = stored.key;
+  writeStore(store);
+  return stored.key;
+}
+
+// key: compte à activer, null pour n'en activer aucun (ajout d'un compte); false si le compte n'existe pas
+function setActive(key) {
+  const store = load();
+  if (key != null && !find(store, key)) return false;
+  store.active = key;
+  if (key != null) find(store, key).lastUsedAt = new Date().toISOString();
+  writeStore(store);
+  return true;
+}
+
+// Retire un compte; retourne son profil (pour révoquer le jeton) ou null
+function remove(key) {
+  const store = load();
+  const stored = find(store, key);
+  if (!stored) return null;
+  store.accounts = store.accounts.filter(a => a.key !== key);
+  if (store.active === key) store.active = null;
+  writeStore(store);
+  return openAccount(Object.assign({}, stored));
+}
+
+// Derniers réglages utilisés avec ce compte (sous-ensemble de settings.json)
+function getSettings(key) {
+  const stored = find(load(), key);
+  return stored?.settings || null;
+}
+
+function setSettings(key, settings) {
+  const store = load();
+  const stored = find(store, key);
+  if (!stored) return;
+  stored.settings = settings;
+  writeStore(store);
+}
+
+module.exports = { init, accountKey, activeProfile, activeKey, getProfile, list, save, setActive, remove, getSettings, setSettings };
@@ -0,0 +1,133 @@
+// Authentification en ligne du jeu avec authlib-injector: l'agent Java redirige le client Minecraft
+// vers l'API Yggdrasil du site Azuriom au lieu des serveurs Mojang. Un serveur de jeu lancé avec le même
+// agent (online-mode=true) vérifie alors que le joueur s'est bien connecté au launcher.
+// L'agent (version épinglée) est téléchargé dans <eminiumDir>/authlib-injector et vérifié par SHA-256; les
+// métadonnées de l'API sont transmises au jeu (prefetched) et gardées en cache pour un site momentanément injoignable.
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { downloadResumable } = require('./resumableDownload');
+const { isCancelled, throwIfCancelled } = require('./cancellation');
+const { sha256File } = require('./updateVerify');
+
+// L'agent s'exécute dans la JVM du jeu: version et empreinte figées ici, mises à jour uniquement par une release
+// du launcher. Les URL (site officiel, puis miroir BMCLAPI) ne sont que des emplacements de téléchargement.
+const AGENT = {
+  version: '1.2.5',
+  sha256: '3bc9ebdc583b36abd2a65b626c4b9f35f21177fbf42a851606eaaea3fd42ee0f',
+  urls: [
+    'https://authlib-injector.yushi.moe/artifact/53/authlib-injector-1.2.5.jar',
+    'https://bmclapi2.bangbang93.com/mirrors/authlib-injector/artifact/53/authlib-injector-1.2.5.jar'
+  ]
+};
+const JAR_PATTERN = /^authlib-injector-.+\.jar(\.unverified)?$/;
+const METADATA_NAME = 'yggdrasil.json';
+// En-tête ALI: adresse réelle de l'API quand l'URL configurée pointe sur le site
+const ALI_HEADER = 'x-authlib-injector-api-location';
+
+const http = axios.create({ timeout: 15000, maxContentLength: Infinity, maxBodyLength: Infinity });
+
+let root = null;
+
+function init(baseDir) {
+  root = path.join(baseDir, 'authlib-injector');
+}
+
+// Agent épinglé, re-téléchargé s'il manque ou si son empreinte ne correspond plus. Retourne { path, version }
+async function ensureAgent({ signal = null } = {}) {
+  if (!root) throw new Error('Dossier authlib-injector non initialisé');
+  const dest = path.join(root, `authlib-injector-${AGENT.version}.jar`);
+  try {
+    if ((await sha256File(dest)) === AGENT.sha256) return { path: dest, version: AGENT.version };
+  } catch { }
+
+  fs.mkdirSync(root, { recursive: true });
+  // Autres versions ou fichier altéré: supprimés
+  for (const f of fs.readdirSync(root)) {
+    if (JAR_PATTERN.test(f)) { try { fs.unlinkSync(path.join(root, f)); } catch { } }
+  }
+  const unverified = `${dest}.unverified`;
+  let lastErr = null;
+  for (const url of AGENT.urls) {
+    try {
+      await downloadResumable(http, url, unverified, { signal });
+      if ((await sha256File(unverified)) !== AGENT.sha256) {
+        try { fs.unlinkSync(unverified); } catch { }
+        throw new Error(`Empreinte SHA-256 invalide pour authlib-injector ${AGENT.version} (${url}): fichier supprimé`);
+      }
+      throwIfCancelled(signal);
+      fs.renameSync(unverified, dest);
+      return { path: dest, version: AGENT.version };
+    } catch (e) {
+      if (isCancelled(e)) throw e;
+      lastErr = e;
+    }
+  }
+  throw lastErr || new Error(`Téléchargement d'authlib-injector ${AGENT.version} impossible`);
+}
+
+// Métadonnées de l'API Yggdrasil (GET sur sa racine): { apiUrl, metadata, warning }.
+// L'API doit exposer sa clé publique de signature, sans quoi le jeu refuserait les skins et le serveur la session.
+async function fetchMetadata(apiUrl, { signal = null } = {}) {
+  const cacheFile = path.join(root, METADATA_NAME);
+  try {
+    let url = apiUrl;
+    let res = await http.get(url, { signal, headers: { Accept: 'application/json' } });
+    const ali = res.headers?.[ALI_HEADER];
+    if (ali) {
+      const next = new URL(ali, url).toString();
+      if (next !== url) {
+        url = next;
+        res = await http.get(url, { signal, headers: { Accept: 'application/json' } });
+      }
+    }
+    const metadata = res.data;
+    if (!metadata || typeof metadata !== 'object' || !metadata.meta || typeof metadata.signaturePublickey !== 'string') {
+      throw new Error(`${url} n'est pas une API Yggdrasil compatible authlib-injector`);
+    }
+    try {
+      fs.mkdirSync(root, { recursive: true });
+      fs.writeFileSync(cacheFile, JSON.stringify({ configuredUrl: apiUrl, apiUrl: url, fetchedAt: new Date().toISOString(), metadata }, null, 2), 'utf8');
+    } catch { }
+    return { apiUrl: url, metadata, warning: null };
+  } catch (e) {
+    if (isCancelled(e)) throw e;
+    let cached = null;
+    try { cached = JSON.parse(fs.readFileSync(cacheFile, 'utf8')); } catch { }
+    if (cached?.configuredUrl === apiUrl && cached.metadata) {
+      return { apiUrl: cached.apiUrl, metadata: cached.metadata, warning: `API Yggdrasil injoignable (${e?.message || e}): métadonnées du ${cached.fetchedAt} utilisées` };
+    }
+    throw new Error(`API Yggdrasil injoignable (${apiUrl}): ${e?.message || e}`);
+  }
+}
+
+// UUID du profil de jeu connu de l'API (POST /api/profiles/minecraft), null si introuvable
+async function lookupProfileId(apiUrl, name, { signal = null } = {}) {
+  try {
+    const { data } = await http.post(`${apiUrl.replace(/\/+$/, '')}/api/profiles/minecraft`, [name], { signal });
+    const found = Array.isArray(data) ? data.find(p => String(p?.name).toLowerCase() === String(name).toLowerCase()) : null;
+    return found?.id ? String(found.id) : null;
+  } catch (e) {
+    if (isCancelled(e)) throw e;
+    return null;
+  }
+}
+
+// Prépare le lancement en ligne: { args (arguments JVM de l'agent), apiUrl, version, uuid, warnings }
+async function prepare({ apiUrl, name, signal = null } = {}) {
+  const warnings = [];
+  const agent = await ensureAgent({ signal });
+  const api = await fetchMetadata(apiUrl, { signal });
+  if (api.warning) warnings.push(api.warning);
+  const uuid = api.warning ? null : await lookupProfileId(api.apiUrl, name, { signal });
+  const prefetched = Buffer.from(JSON.stringify(api.metadata), 'utf8').toString('base64');
+  return {
+    args: [`-javaagent:${agent.path}=${api.apiUrl}`, `-Dauthlibinjector.yggdrasil.prefetched=${prefetched}`],
+    apiUrl: api.apiUrl,
+    version: agent.version,
+    uuid,
+    warnings
+  };
+}
+
+module.exports = { init, ensureAgent, fetchMetadata, prepare };
@@ -0,0 +1,32 @@
+// Annulation des opérations longues (préparation, lancement, mise à jour).
+// Le jeton est un AbortSignal (celui de la tâche progressBus); une opération annulée rejette avec code 'ECANCELLED'.
+
+function cancelledError() {
+  const err = new Error('Opération annulée');
+  err.code = 'ECANCELLED';
+  return err;
+}
+
+// Nos annulations comme celles d'axios (requête interrompue via signal)
+function isCancelled(err) {
+  return !!err && (err.code === 'ECANCELLED' || err.code === 'ERR_CANCELED' || err.name === 'CanceledError');
+}
+
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) throw cancelledError();
+}
+
+// Attente interrompue par l'annulation
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) { reject(cancelledError()); return; }
+    const onAbort = () => { clearTimeout(timer); reject(cancelledError()); };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+module.exports = { cancelledError, isCancelled, throwIfCancelled, delay };
@@ -0,0 +1,203 @@
+// Analyse d'une sortie anormale du client: dernier crash-reports/*.txt, hs_err_pid*.log (crash de la JVM)
+// et fin de logs/latest.log, pris dans le dossier du jeu. On en tire l'exception, le mod suspecté
+// et les causes connues (mémoire, dépendance manquante, mauvaise version de Java...) avec les corrections proposées.
+const fs = require('fs');
+const path = require('path');
+
+// Fin de latest.log conservée pour l'analyse
+const LOG_TAIL_BYTES = 64 * 1024;
+// Un fichier plus ancien que le lancement (moins cette marge) n'appartient pas à cette session
+const MTIME_SLACK_MS = 5000;
+
+// Paquets du jeu, de Forge et de la JVM: ignorés pour deviner le mod fautif depuis la pile d'appels
+const FRAMEWORK_PACKAGES = /^(java|javax|jdk|sun|com\.sun|net\.minecraft|com\.mojang|net\.minecraftforge|cpw\.mods|org\.spongepowered|org\.lwjgl|org\.apache|com\.google|io\.netty|it\.unimi|oshi|org\.slf4j|org\.objectweb|net\.neoforged|moe\.yushi\.authlibinjector|MC-BOOTSTRAP)\b/;
+
+// Causes connues: id, motif(s) recherché(s) dans les fichiers collectés, titre et corrections proposées
+const KNOWN_CAUSES = [
+  {
+    id: 'out-of-memory',
+    patterns: [/java\.lang\.OutOfMemoryError/, /There is insufficient memory for the Java Runtime/, /Out of Memory Error/i],
+    title: 'Mémoire insuffisante',
+    fixes: (ctx) => [
+      ctx.memoryMB ? `Augmentez la mémoire allouée (actuellement ${ctx.memoryMB} Mo) dans l'onglet Jouer.` : 'Augmentez la mémoire allouée dans l\'onglet Jouer.',
+      'Fermez les applications gourmandes (navigateur, enregistrement vidéo) avant de jouer.'
+    ]
+  },
+  {
+    id: 'missing-dependency',
+    patterns: [/Missing or unsupported mandatory dependencies/i, /Mod ID: '[^']+', Requested by: '[^']+'/, /requires .+ or above/i, /ModResolutionException/],
+    title: 'Dépendance de mod manquante ou incompatible',
+    fixes: () => [
+      'Cliquez sur « Installer / Mettre à jour » pour resynchroniser le modpack.',
+      'Retirez les mods ajoutés à la main dans le dossier mods.'
+    ]
+  },
+  {
+    id: 'duplicate-mods',
+    patterns: [/DuplicateModsFoundException/, /Found duplicate mods/i],
+    title: 'Mods en double',
+    fixes: () => ['Supprimez les doublons du dossier mods (même mod en plusieurs versions), puis resynchronisez le modpack.']
+  },
+  {
+    id: 'wrong-java',
+    patterns: [/UnsupportedClassVersionError/, /has been compiled by a more recent version of the Java Runtime/, /Could not create the Java Virtual Machine/, /Unrecognized (VM )?option/],
+    title: 'Version de Java inadaptée',
+    fixes: () => [
+      'Minecraft 1.20 nécessite Java 17: choisissez « Automatique » ou un Java 17 dans Runtime Java (onglet Jouer).',
+      'Retirez les arguments JVM personnalisés non reconnus.'
+    ]
+  },
+  {
+    id: 'mixin',
+    patterns: [/MixinApplyError/, /Mixin apply (for mod \S+ )?failed/i, /InvalidMixinException/],
+    title: 'Incompatibilité entre mods (Mixin)',
+    fixes: () => ['Un mod modifie le jeu d\'une façon incompatible avec un autre: retirez le mod suspecté ou resynchronisez le modpack.']
+  },
+  {
+    id: 'corrupted-files',
+    patterns: [/java\.util\.zip\.ZipException/, /invalid LOC header/, /zip END header not found/, /ZipError/],
+    title: 'Fichiers du jeu corrompus',
+    fixes: () => ['Cliquez sur « Installer / Mettre à jour » pour vérifier et re-télécharger les fichiers.']
+  },
+  {
+    id: 'graphics-driver',
+    patterns: [/\b(atio6axx|atioglxx|nvoglv(32|64)|ig\d+icd(32|64)|igxelpicd64)\.dll/i, /GLFW error 65542/, /Pixel format not accelerated/i, /No OpenGL context/i],
+    title: 'Problème de pilote graphique',
+    fixes: () => [
+      'Mettez à jour le pilote de votre carte graphique (site du fabricant).',
+      'Sur un portable, forcez l\'utilisation de la carte graphique dédiée pour Java.'
+    ]
+  },
+  {
+    id: 'authlib-injector',
+    patterns: [/\[authlib-injector\] \[ERROR\]/, /moe\.yushi\.authlibinjector\.\S+(Exception|Error)/],
+    title: 'Échec de l\'authentification en ligne (authlib-injector)',
+    fixes: () => [
+      'Vérifiez votre connexion à internet puis relancez le jeu.',
+      'Si le problème persiste, déconnectez-vous puis reconnectez-vous au launcher.'
+    ]
+  }
+];
+
+function statSafe(p) {
+  try { return fs.statSync(p); } catch { return null; }
+}
+
+// Fichier le plus récent de dir dont le nom correspond, modifié depuis `since`
+function newestFile(dir, re, since) {
+  let best = null;
+  let names = [];
+  try { names = fs.readdirSync(dir); } catch { return null; }
+  for (const name of names) {
+    if (!re.test(name)) continue;
+    const file = path.join(dir, name);
+    const st = statSafe(file);
+    if (!st || !st.isFile() || st.mtimeMs < since) continue;
+    if (!best || st.mtimeMs > best.mtimeMs) best = { file, mtimeMs: st.mtimeMs };
+  }
+  return best ? best.file : null;
+}
+
+function readText(file, maxBytes = 1024 * 1024) {
+  try {
+    const st = fs.statSync(file);
+    const fd = fs.openSync(file, 'r');
+    try {
+      const len = Math.min(st.size, maxBytes);
+      const buf = Buffer.alloc(len);
+      fs.readSync(fd, buf, 0, len, st.size - len);
+      return buf.toString('utf8');
+    } finally { fs.closeSync(fd); }
+  } catch { return null; }
+}
+
+// gameDir: dossier du jeu (hiddenBase); since: début de la session (ms)
+function collectCrashArtifacts(gameDir, since = 0) {
+  const after = since ? since - MTIME_SLACK_MS : 0;
+  const crashFile = newestFile(path.join(gameDir, 'crash-reports'), /^crash-.*\.txt$/, after);
+  const hsErrFile = newestFile(gameDir, /^hs_err_pid\d+\.log$/, after);
+  const latestLog = path.join(gameDir, 'logs', 'latest.log');
+  let mods = [];
+  try { mods = fs.readdirSync(path.join(gameDir, 'mods')).filter(n => n.toLowerCase().endsWith('.jar')); } catch { }
+  return {
+    crashReport: crashFile ? { file: crashFile, text: readText(crashFile) } : null,
+    hsErr: hsErrFile ? { file: hsErrFile, text: readText(hsErrFile) } : null,
+    latestLog: statSafe(latestLog) ? { file: latestLog, text: readText(latestLog, LOG_TAIL_BYTES) } : null,
+    mods
+  };
+}
+
+// Première exception Java: "java.lang.IllegalStateException: message"
+function findException(text) {
+  if (!text) return null;
+  const m = /^\s*(?:Caused by: )?((?:[a-zA-Z_$][\w$]*\.)+[A-Z][\w$]*(?:Exception|Error|Throwable))(?::\s*(.*))?$/m.exec(text);
+  return m ? { type: m[1], message: (m[2] || '').trim() } : null;
+}
+
+// Mod suspecté: en-tête Forge "Suspected Mod(s)", sinon premier paquet hors jeu/Forge de la pile rapproché des jars de mods
+function findSuspectedMod(text, mods) {
+  if (!text) return null;
+  const header = /Suspected Mods?:\s*(.+)/i.exec(text);
+  if (header && !/^\s*(NONE|None|Unknown)\b/.test(header[1])) return header[1].trim();
+  const modFile = /Mod File:\s*(?:.*[\\/])?([^\\/\r\n]+\.jar)/.exec(text);
+  if (modFile && !/^(forge|client|minecraft)-/i.test(modFile[1])) return modFile[1];
+  for (const [, cls] of text.matchAll(/^\s+at ([\w$.]+)\./gm)) {
+    if (FRAMEWORK_PACKAGES.test(cls)) continue;
+    // com.exemple.supermod.Classe → jar dont le nom contient un segment du paquet
+    const segments = cls.split('.').slice(0, -1).filter(s => s.length > 3 && !['common', 'client', 'mixin', 'core', 'github'].includes(s));
+    const jar = mods.find(j => segments.some(seg => j.toLowerCase().replace(/[^a-z0-9]/g, '').includes(seg.toLowerCase())));
+    return jar || cls.split('.').slice(0, 3).join('.');
+  }
+  return null;
+}
+
+// ctx: { code, memoryMB } et artefacts de collectCrashArtifacts
+function analyzeCrash(artifacts, ctx = {}) {
+  const texts = [artifacts.crashReport?.text, artifacts.hsErr?.text, artifacts.latestLog?.text].filter(Boolean);
+  const all = texts.join('\n');
+  const exception = findException(artifacts.crashReport?.text) || findException(artifacts.latestLog?.text);
+  const suspectedMod = findSuspectedMod(artifacts.crashReport?.text, artifacts.mods || [])
+    || findSuspectedMod(artifacts.latestLog?.text, artifacts.mods || []);
+  const causes = KNOWN_CAUSES
+    .filter(c => c.patterns.some(re => re.test(all)))
+    .map(c => ({ id: c.id, title: c.title, fixes: c.fixes(ctx) }));
+  const description = /^Description:\s*(.+)$/m.exec(artifacts.crashReport?.text || '');
+  const fixes = causes.flatMap(c => c.fixes);
+  if (suspectedMod && !causes.some(c => c.id === 'wrong-java' || c.id === 'out-of-memory')) {
+    fixes.push(`Le mod « ${suspectedMod} » semble en cause: vérifiez qu'il est à jour ou retirez-le.`);
+  }
+  if (!fixes.length) {
+    fixes.push('Relancez le jeu; si le problème persiste, exportez un diagnostic et envoyez-le au support.');
+  }
+  return {
+    code: ctx.code ?? null,
+    jvmCrash: !!artifacts.hsErr,
+    description: description ? description[1].trim() : null,
+    exception,
+    suspectedMod,
+    causes,
+    fixes,
+    files: {
+      crashReport: artifacts.crashReport?.file || null,
+      hsErr: artifacts.hsErr?.file || null,
+      latestLog: artifacts.latestLog?.file || null
+    }
+  };
+}
+
+// Texte lisible pour la boîte de dialogue
+function formatCrashSummary(analysis) {
+  const lines = [];
+  if (analysis.causes.length) lines.push(`Cause probable: ${analysis.causes.map(c => c.title).join(', ')}`);
+  if (analysis.description) lines.push(`Description: ${analysis.description}`);
+  if (analysis.exception) {
+    lines.push(`Erreur: ${analysis.exception.type}${analysis.exception.message ? ` — ${analysis.exception.message}` : ''}`);
+  } else if (analysis.jvmCrash) {
+    lines.push('Erreur: plantage de la machine virtuelle Java (hs_err_pid)');
+  }
+  if (analysis.suspectedMod) lines.push(`Mod suspecté: ${analysis.suspectedMod}`);
+  lines.push('', 'Que faire ?', ...analysis.fixes.map(f => `• ${f}`));
+  return lines.join('\n');
+}
+
+module.exports = { collectCrashArtifacts, analyzeCrash, formatCrashSummary };
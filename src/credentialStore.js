@@ -0,0 +1,86 @@
+// Chiffrement des secrets du profil (jeton d'accès, e-mail) avant écriture sur disque (accounts.json).
+// Par défaut: Electron safeStorage (DPAPI sous Windows, trousseau macOS, libsecret/kwallet sous Linux).
+// Linux sans trousseau: safeStorage n'y offre qu'un mot de passe fixe, on chiffre alors en AES-256-GCM
+// avec une clé aléatoire stockée à part (credentials.key), moins sûr, d'où l'avertissement.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { app, safeStorage } = require('electron');
+
+const KEY_NAME = 'credentials.key';
+// Backends safeStorage Linux sans vrai trousseau
+const WEAK_LINUX_BACKENDS = ['basic_text', 'unknown'];
+
+let keyPath = null;
+
+// keyDir: dossier de la clé de repli (userData, hors du dossier du jeu)
+function init(keyDir) {
+  keyPath = path.join(keyDir, KEY_NAME);
+}
+
+// 'safeStorage' ou 'file' (repli); null avant que l'application soit prête (safeStorage indisponible)
+function currentScheme() {
+  if (!app.isReady()) return null;
+  try {
+    if (!safeStorage.isEncryptionAvailable()) return 'file';
+    if (process.platform === 'linux' && typeof safeStorage.getSelectedStorageBackend === 'function'
+      && WEAK_LINUX_BACKENDS.includes(safeStorage.getSelectedStorageBackend())) return 'file';
+    return 'safeStorage';
+  } catch { return 'file'; }
+}
+
+// { scheme, warning } pour l'interface et les journaux
+function storageInfo() {
+  const scheme = currentScheme();
+  return {
+    scheme,
+    warning: scheme === 'file'
+      ? 'Aucun trousseau système (libsecret/kwallet) disponible: vos identifiants sont chiffrés avec une clé stockée sur ce disque. Installez et déverrouillez un trousseau pour une meilleure protection.'
+      : null
+  };
+}
+
+function fileKey(create) {
+  if (!keyPath) throw new Error('Stockage des identifiants non initialisé');
+  try {
+    const key = Buffer.from(fs.readFileSync(keyPath, 'utf8').trim(), 'hex');
+    if (key.length === 32) return key;
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  if (!create) return null;
+  const key = crypto.randomBytes(32);
+  fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+  fs.writeFileSync(keyPath, key.toString('hex'), { mode: 0o600 });
+  return key;
+}
+
+// secrets (objet) → { scheme, data } à enregistrer à la place des champs en clair
+function seal(secrets) {
+  const json = JSON.stringify(secrets);
+  const scheme = currentScheme();
+  if (!scheme) throw new Error('Chiffrement des identifiants indisponible avant le démarrage complet');
+  if (scheme === 'safeStorage') return { scheme, data: safeStorage.encryptString(json).toString('base64') };
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', fileKey(true), iv);
+  const enc = Buffer.concat([cipher.update(json, 'utf8'), cipher.final()]);
+  return { scheme, data: Buffer.concat([iv, cipher.getAuthTag(), enc]).toString('base64') };
+}
+
+// Inverse de seal(); null si le déchiffrement échoue (trousseau changé, clé perdue, autre machine)
+function unseal(sealed) {
+  try {
+    const buf = Buffer.from(String(sealed?.data || ''), 'base64');
+    if (sealed.scheme === 'safeStorage') return JSON.parse(safeStorage.decryptString(buf));
+    if (sealed.scheme === 'file') {
+      const key = fileKey(false);
+      if (!key) return null;
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, buf.subarray(0, 12));
+      decipher.setAuthTag(buf.subarray(12, 28));
+      return JSON.parse(Buffer.concat([decipher.update(buf.subarray(28)), decipher.final()]).toString('utf8'));
+    }
+  } catch { }
+  return null;
+}
+
+module.exports = { init, currentScheme, storageInfo, seal, unseal };
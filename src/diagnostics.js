@@ -0,0 +1,152 @@
+// Archive de diagnostic pour le support: journaux du launcher et du jeu, rapports de crash, paramètres,
+// liste des mods avec empreintes, état de l'installation, Java et système.
+// Tout le texte passe par redact(): jetons, mots de passe, en-têtes Authorization et adresses e-mail sont masqués.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const javaRuntime = require('./javaRuntime');
+
+const MASK = '[masqué]';
+// Seule la fin des gros fichiers texte est gardée
+const MAX_TEXT_BYTES = 2 * 1024 * 1024;
+const MAX_CRASH_REPORTS = 5;
+const MAX_SESSION_LOGS = 10;
+
+const SECRET_KEY = /token|password|passwd|secret|authorization|cookie|e-?mail/i;
+
+// Masque les secrets d'un texte libre (journaux, JSON sérialisé, lignes de commande)
+function redact(text) {
+  return String(text)
+    .replace(/(\bauthorization\b["']?\s*[:=]\s*["']?)((?:bearer|basic|token)\s+)?[^\s"',}]+/gi, (_m, p, scheme) => p + (scheme || '') + MASK)
+    .replace(/(--accessToken\s+)\S+/g, `$1${MASK}`)
+    .replace(/(["']?\b(?:access_?token|refresh_?token|client_?token|api_?token|auth_?token|token|password|secret)\b["']?\s*[:=]\s*)("[^"]*"|'[^']*'|[^\s,;}&]+)/gi,
+      (_m, p, v) => p + (/^["']/.test(v) ? `"${MASK}"` : MASK))
+    .replace(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, '[e-mail masqué]');
+}
+
+// Même chose sur un objet: toute clé sensible est masquée quelle que soit sa valeur
+function redactObject(value) {
+  if (Array.isArray(value)) return value.map(redactObject);
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = SECRET_KEY.test(k) ? MASK : redactObject(v);
+    return out;
+  }
+  return typeof value === 'string' ? redact(value) : value;
+}
+
+function readTail(file, maxBytes = MAX_TEXT_BYTES) {
+  const st = fs.statSync(file);
+  const len = Math.min(st.size, maxBytes);
+  const buf = Buffer.alloc(len);
+  const fd = fs.openSync(file, 'r');
+  try { fs.readSync(fd, buf, 0, len, st.size - len); } finally { fs.closeSync(fd); }
+  const text = buf.toString('utf8');
+  return st.size > len ? `[… ${st.size - len} octets précédents omis …]\n${text}` : text;
+}
+
+// Fichiers de dir (filtre re), du plus récent au plus ancien
+function newestFiles(dir, re, limit) {
+  let names = [];
+  try { names = fs.readdirSync(dir).filter(n => re.test(n)); } catch { return []; }
+  return names
+    .map(n => {
+      const file = path.join(dir, n);
+      try { return { file, name: n, mtimeMs: fs.statSync(file).mtimeMs }; } catch { return null; }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.mtimeMs - a.mtimeMs)
+    .slice(0, limit);
+}
+
+function sha1File(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha1');
+    fs.createReadStream(file).on('error', reject).on('data', d => hash.update(d)).on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+async function listMods(modsDir) {
+  const mods = [];
+  let names = [];
+  try { names = fs.readdirSync(modsDir).sort(); } catch { return mods; }
+  for (const name of names) {
+    const file = path.join(modsDir, name);
+    try {
+      const st = fs.statSync(file);
+      if (!st.isFile()) continue;
+      mods.push({ name, size: st.size, sha1: await sha1File(file), modified: new Date(st.mtimeMs).toISOString() });
+    } catch (e) {
+      mods.push({ name, error: e?.message || String(e) });
+    }
+  }
+  return mods;
+}
+
+// Version, éditeur et architecture du runtime choisi (javaRuntime.probe: asynchrone, déjà en cache le plus souvent)
+async function javaCheck(javaPath) {
+  if (!javaPath) return { ok: false, error: 'JRE introuvable' };
+  try {
+    return Object.assign({ ok: true, path: javaPath }, await javaRuntime.probe(javaPath));
+  } catch (e) {
+    return { ok: false, path: javaPath, error: e?.message || String(e) };
+  }
+}
+
+function diskInfo(dir) {
+  try {
+    const st = fs.statfsSync(dir);
+    return { path: dir, freeBytes: st.bavail * st.bsize, totalBytes: st.blocks * st.bsize };
+  } catch (e) {
+    return { path: dir, error: e?.message || String(e) };
+  }
+}
+
+// ctx: { eminiumDir (dossier du jeu), userDataDir, appVersion, javaPath, javaRuntimes, checkReady: async () => ({ ok }) }
+// Retourne le contenu du zip (Buffer).
+async function buildDiagnosticZip(ctx) {
+  const zip = new AdmZip();
+  const addText = (name, text) => zip.addFile(name, Buffer.from(redact(text), 'utf8'));
+  const addJson = (name, obj) => zip.addFile(name, Buffer.from(JSON.stringify(redactObject(obj), null, 2), 'utf8'));
+  const addTextFile = (name, file) => {
+    try { addText(name, readTail(file)); } catch { }
+  };
+  const addJsonFile = (name, file) => {
+    try { addJson(name, JSON.parse(fs.readFileSync(file, 'utf8'))); } catch {
+      addTextFile(name, file); // JSON illisible: texte brut, masqué de la même façon
+    }
+  };
+  const base = ctx.eminiumDir;
+
+  // Journaux du launcher
+  for (const f of newestFiles(path.join(base, 'logs', 'sessions'), /\.log$/, MAX_SESSION_LOGS)) addTextFile(`launcher/sessions/${f.name}`, f.file);
+  // Journaux et rapports du jeu
+  for (const f of newestFiles(path.join(base, 'logs'), /^(latest|debug)\.log$/, 2)) addTextFile(`game/logs/${f.name}`, f.file);
+  for (const f of newestFiles(path.join(base, 'crash-reports'), /\.txt$/, MAX_CRASH_REPORTS)) addTextFile(`game/crash-reports/${f.name}`, f.file);
+  for (const f of newestFiles(base, /^hs_err_pid\d+\.log$/, 3)) addTextFile(`game/${f.name}`, f.file);
+
+  // Configuration
+  addJsonFile('config/settings.json', path.join(ctx.userDataDir, 'settings.json'));
+  addJsonFile('config/mirrors.json', path.join(base, 'mirrors.json'));
+  addJson('game/mods.json', await listMods(path.join(base, 'mods')));
+
+  let ready;
+  try { ready = await ctx.checkReady(); } catch (e) { ready = { ok: false, error: e?.message || String(e) }; }
+  let lastSha = null;
+  try { lastSha = fs.readFileSync(path.join(ctx.userDataDir, 'updates', 'last_sha.txt'), 'utf8').trim(); } catch { }
+  addJson('system.json', {
+    generatedAt: new Date().toISOString(),
+    launcher: { version: ctx.appVersion, lastSha, electron: process.versions.electron, node: process.versions.node, chrome: process.versions.chrome },
+    os: { platform: process.platform, release: os.release(), arch: os.arch(), version: typeof os.version === 'function' ? os.version() : null },
+    cpu: { model: os.cpus()[0]?.model || null, cores: os.cpus().length },
+    memory: { totalBytes: os.totalmem(), freeBytes: os.freemem() },
+    disk: diskInfo(base),
+    checkReady: ready,
+    java: Object.assign(await javaCheck(ctx.javaPath), { runtimes: ctx.javaRuntimes || [] })
+  });
+  return zip.toBuffer();
+}
+
+module.exports = { buildDiagnosticZip, redact, redactObject };
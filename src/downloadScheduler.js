@@ -0,0 +1,174 @@
+// Planificateur de téléchargements: une seule file pour assets, librairies, client.jar et installeur Forge.
+// Concurrence globale limitée, plafond de débit optionnel (seau à jetons partagé) et progression agrégée
+// en octets: total attendu (champs "size" des JSON), octets reçus, débit courant et temps restant estimé.
+const { cancelledError } = require('./cancellation');
+
+const DEFAULT_CONCURRENCY = 8;
+const MAX_CONCURRENCY = 32;
+// Fenêtre de calcul du débit courant
+const SPEED_WINDOW_MS = 3000;
+
+// options: { concurrency, bandwidthBytesPerSec (0 = illimité), onProgress(snapshot), progressIntervalMs, signal }
+// signal: une fois annulé, les tâches encore en file sont rejetées sans être lancées.
+// Au premier échec, plus aucune tâche n'est lancée: drain() attend celles en cours avant de rejeter.
+function createDownloadScheduler(options = {}) {
+  const signal = options.signal || null;
+  const concurrency = Math.max(1, Math.min(MAX_CONCURRENCY, Number(options.concurrency) || DEFAULT_CONCURRENCY));
+  const bandwidth = Math.max(0, Number(options.bandwidthBytesPerSec) || 0);
+  const onProgress = typeof options.onProgress === 'function' ? options.onProgress : () => { };
+  const progressIntervalMs = options.progressIntervalMs || 250;
+
+  const queue = [];
+  const pending = new Set();
+  let active = 0;
+  let failure = null;
+  let bytesTotal = 0;
+  let bytesDone = 0;
+  let filesTotal = 0;
+  let filesDone = 0;
+  // Octets réellement transférés (hors fichiers déjà présents), pour le débit
+  const samples = [];
+  let lastEmit = 0;
+
+  // Seau à jetons: capacité d'une seconde de débit
+  let tokens = bandwidth;
+  let refilledAt = Date.now();
+  let throttleChain = Promise.resolve();
+
+  function speed() {
+    const now = Date.now();
+    while (samples.length && samples[0].t < now - SPEED_WINDOW_MS) samples.shift();
+    if (!samples.length) return 0;
+    const bytes = samples.reduce((n, s) => n + s.bytes, 0);
+    const span = Math.max(1000, now - samples[0].t);
+    return Math.round((bytes * 1000) / span);
+  }
+
+  function snapshot() {
+    const bytesPerSec = speed();
+    const remaining = Math.max(0, bytesTotal - bytesDone);
+    return {
+      bytesDone,
+      bytesTotal,
+      filesDone,
+      filesTotal,
+      active,
+      speed: bytesPerSec,
+      eta: bytesPerSec > 0 ? Math.round(remaining / bytesPerSec) : null
+    };
+  }
+
+  function emit(force = false) {
+    const now = Date.now();
+    if (!force && now - lastEmit < progressIntervalMs) return;
+    lastEmit = now;
+    try { onProgress(snapshot()); } catch { }
+  }
+
+  // Attend que n octets puissent passer sous le plafond de débit (appels sérialisés)
+  function throttle(n) {
+    if (!bandwidth || (signal && signal.aborted)) return Promise.resolve();
+    throttleChain = throttleChain.then(async () => {
+      const now = Date.now();
+      tokens = Math.min(bandwidth, tokens + ((now - refilledAt) * bandwidth) / 1000);
+      refilledAt = now;
+      tokens -= n;
+      if (tokens < 0) {
+        await new Promise(r => setTimeout(r, Math.ceil((-tokens * 1000) / bandwidth)));
+      }
+    });
+    return throttleChain;
+  }
+
+  // Ajoute des octets attendus (connus avant la planification des fichiers, ex: assetIndex.totalSize)
+  function expect(bytes) {
+    bytesTotal += Math.max(0, Number(bytes) || 0);
+    emit();
+  }
+
+  function pump() {
+    while (!failure && active < concurrency && queue.length) {
+      const job = queue.shift();
+      active++;
+      runJob(job).finally(() => {
+        active--;
+        pump();
+      });
+    }
+  }
+
+  async function runJob(job) {
+    let counted = 0; // octets de ce fichier déjà comptés dans bytesDone
+    let announced = job.size; // octets de ce fichier comptés dans bytesTotal
+    const reporter = {
+      // received: octets écrits pour la tentative en cours (une reprise ou un autre miroir repart de sa position)
+      onProgress(received, total) {
+        if (!announced && total > 0) { announced = total; bytesTotal += total; }
+        const delta = received - counted;
+        counted = received;
+        bytesDone += delta;
+        if (delta > 0) samples.push({ t: Date.now(), bytes: delta });
+        emit();
+      },
+      // Fichier déjà présent et valide: compté comme fait sans transfert
+      skip() {
+        bytesDone += announced - counted;
+        counted = announced;
+      },
+      throttle,
+      signal
+    };
+    try {
+      if (signal && signal.aborted) throw cancelledError();
+      const result = await job.run(reporter);
+      // Aligne le compteur sur la taille attendue (taille réelle différente)
+      bytesDone += announced - counted;
+      job.resolve(result);
+    } catch (e) {
+      fail(e);
+      job.reject(e);
+    } finally {
+      filesDone++;
+      emit(filesDone === filesTotal);
+    }
+  }
+
+  // task: { size: octets attendus (0 si inconnu), reserved: taille déjà annoncée via expect(), run: (reporter) => Promise }
+  function schedule(task) {
+    const size = Math.max(0, Number(task.size) || 0);
+    if (!task.reserved) bytesTotal += size;
+    filesTotal++;
+    const p = new Promise((resolve, reject) => {
+      if (failure) reject(failure);
+      else queue.push({ size, run: task.run, resolve, reject });
+    });
+    pending.add(p);
+    p.then(() => pending.delete(p), () => pending.delete(p));
+    pump();
+    return p;
+  }
+
+  // Arrêt sur erreur (d'une tâche ou de l'appelant): les tâches en file sont rejetées sans être lancées
+  function fail(err) {
+    if (!failure) failure = err || new Error('Téléchargements interrompus');
+    while (queue.length) queue.shift().reject(failure);
+  }
+
+  // Attend la fin des tâches en cours, sans rejeter: aucun fichier n'est encore écrit au retour
+  async function settle() {
+    while (pending.size) {
+      await Promise.allSettled([...pending]);
+    }
+  }
+
+  // Attend la fin de toutes les tâches planifiées; rejette ensuite avec la première erreur
+  async function drain() {
+    await settle();
+    emit(true);
+    if (failure) throw failure;
+  }
+
+  return { schedule, expect, throttle, drain, fail, settle, snapshot, signal };
+}
+
+module.exports = { createDownloadScheduler, DEFAULT_CONCURRENCY };
@@ -0,0 +1,99 @@
+// options.txt du jeu (format "clé:valeur", une option par ligne).
+// Le launcher ne gère que quelques clés (distance de rendu, FPS, VSync): elles sont écrites avant le lancement,
+// toutes les autres lignes réglées en jeu sont conservées telles quelles, dans le même ordre.
+const fs = require('fs');
+const path = require('path');
+
+const OPTIONS_NAME = 'options.txt';
+// Ancien contenu écrit par ensureUserOptions: ligne invalide pour Minecraft
+const LEGACY_PLACEHOLDER = '# Eminium user options';
+// maxFps à 260 = « Illimité » dans les options vidéo du jeu
+const MC_UNLIMITED_FPS = 260;
+
+const clamp = (n, min, max) => Math.min(max, Math.max(min, Math.round(n)));
+
+// Clés gérées: paramètre du launcher (settings.json) ↔ option du jeu
+const MANAGED = {
+  renderDistance: {
+    toGame: (s) => (Number.isFinite(s.renderDist) ? String(clamp(s.renderDist, 2, 32)) : null),
+    fromGame: (v) => (Number.isFinite(Number(v)) ? { renderDist: clamp(Number(v), 2, 32) } : null)
+  },
+  maxFps: {
+    toGame: (s) => {
+      if (s.fpsUnlimited === true) return String(MC_UNLIMITED_FPS);
+      return Number.isFinite(s.fpsCap) ? String(clamp(s.fpsCap, 10, MC_UNLIMITED_FPS - 1)) : null;
+    },
+    fromGame: (v) => {
+      const n = Number(v);
+      if (!Number.isFinite(n)) return null;
+      // Illimité: on garde le plafond choisi dans le launcher pour le jour où il est réactivé
+      return n >= MC_UNLIMITED_FPS ? { fpsUnlimited: true } : { fpsUnlimited: false, fpsCap: clamp(n, 10, MC_UNLIMITED_FPS - 1) };
+    }
+  },
+  enableVsync: {
+    toGame: (s) => (typeof s.vsync === 'boolean' ? String(s.vsync) : null),
+    fromGame: (v) => (v === 'true' || v === 'false' ? { vsync: v === 'true' } : null)
+  }
+};
+
+const optionsPath = (gameDir) => path.join(gameDir, OPTIONS_NAME);
+
+// Lignes de options.txt: { key, value } ou { raw } pour ce qui n'est pas une option (conservé à l'écriture)
+function parseOptions(text) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  if (lines.length && lines[lines.length - 1] === '') lines.pop();
+  return lines
+    .filter(line => line.trim() !== LEGACY_PLACEHOLDER)
+    .map((line) => {
+      const i = line.indexOf(':');
+      return i > 0 ? { key: line.slice(0, i), value: line.slice(i + 1) } : { raw: line };
+    });
+}
+
+function serializeOptions(entries) {
+  return entries.map(e => (e.key != null ? `${e.key}:${e.value}` : e.raw)).join('\n') + '\n';
+}
+
+function readOptionsFile(gameDir) {
+  try {
+    const file = optionsPath(gameDir);
+    return { entries: parseOptions(fs.readFileSync(file, 'utf8')), mtimeMs: fs.statSync(file).mtimeMs };
+  } catch (e) {
+    if (e.code === 'ENOENT') return { entries: [], mtimeMs: 0 };
+    throw e;
+  }
+}
+
+// Écrit les clés gérées depuis les paramètres du launcher; un paramètre absent laisse la valeur du jeu.
+// Retourne la date de modification du fichier écrit (repère pour readLauncherOptions).
+function applyLauncherOptions(gameDir, settings = {}) {
+  const { entries } = readOptionsFile(gameDir);
+  for (const [key, def] of Object.entries(MANAGED)) {
+    const value = def.toGame(settings);
+    if (value == null) continue;
+    const entry = entries.find(e => e.key === key);
+    if (entry) entry.value = value;
+    else entries.push({ key, value });
+  }
+  const file = optionsPath(gameDir);
+  // Écriture atomique: le jeu ne doit jamais lire un fichier à moitié écrit
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, serializeOptions(entries), 'utf8');
+  fs.renameSync(tmp, file);
+  return fs.statSync(file).mtimeMs;
+}
+
+// Valeurs des clés gérées au format des paramètres du launcher ({ renderDist, fpsCap, fpsUnlimited, vsync }),
+// null si options.txt n'a pas changé depuis sinceMtimeMs (dernière écriture ou lecture par le launcher)
+function readLauncherOptions(gameDir, sinceMtimeMs = 0) {
+  const { entries, mtimeMs } = readOptionsFile(gameDir);
+  if (!mtimeMs || mtimeMs <= sinceMtimeMs) return null;
+  const values = {};
+  for (const [key, def] of Object.entries(MANAGED)) {
+    const entry = entries.find(e => e.key === key);
+    if (entry) Object.assign(values, def.fromGame(entry.value.trim()) || {});
+  }
+  return { values, mtimeMs };
+}
+
+module.exports = { parseOptions, serializeOptions, applyLauncherOptions, readLauncherOptions };
@@ -0,0 +1,216 @@
+// Processus du jeu lancés par le launcher (PID, heure de démarrage, serveur, mémoire).
+// Les PID sont notés dans <eminiumDir>/game.lock: une autre fenêtre du launcher, ou le launcher relancé
+// après une fermeture, retrouve ainsi un client encore ouvert sur le même dossier de jeu.
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { EventEmitter } = require('events');
+
+const LOCK_NAME = 'game.lock';
+// Vérification périodique des clients qui ne sont pas nos enfants (retrouvés via game.lock)
+const ADOPTED_POLL_MS = 5000;
+// Délai laissé au client pour se fermer avant un arrêt forcé
+const STOP_TIMEOUT_MS = 10000;
+
+const emitter = new EventEmitter();
+let lockPath = null;
+// pid → { pid, startedAt, server, memoryMB, child (null si retrouvé via game.lock), stopping }
+const instances = new Map();
+let pollTimer = null;
+
+function init(baseDir) {
+  lockPath = path.join(baseDir, LOCK_NAME);
+}
+
+function run(cmd, args) {
+  return new Promise((resolve) => {
+    execFile(cmd, args, { timeout: 5000, windowsHide: true }, (err, stdout) => resolve(err ? '' : String(stdout || '')));
+  });
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    // EPERM: le processus existe mais appartient à un autre utilisateur
+    return e.code === 'EPERM';
+  }
+}
+
+// Un PID noté peut avoir été réattribué: on vérifie qu'il s'agit toujours d'une JVM
+async function isJavaProcess(pid) {
+  if (!isAlive(pid)) return false;
+  let desc = '';
+  if (process.platform === 'win32') desc = await run('tasklist', ['/FI', `PID eq ${pid}`, '/FO', 'CSV', '/NH']);
+  else if (process.platform === 'linux') {
+    try { desc = fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8').replace(/\0/g, ' '); } catch { }
+  } else desc = await run('ps', ['-p', String(pid), '-o', 'command=']);
+  return /java/i.test(desc);
+}
+
+// Mémoire résidente du processus (octets), null si indisponible
+async function readMemory(pid) {
+  if (process.platform === 'win32') {
+    // "javaw.exe","1234","Console","1","1 234 567 K"
+    const line = await run('tasklist', ['/FI', `PID eq ${pid}`, '/FO', 'CSV', '/NH']);
+    const cols = line.trim().split('","');
+    const kb = Number(String(cols[cols.length - 1] || '').replace(/\D/g, ''));
+    return kb > 0 ? kb * 1024 : null;
+  }
+  if (process.platform === 'linux') {
+    try {
+      const m = /VmRSS:\s+(\d+)\s+kB/.exec(fs.readFileSync(`/proc/${pid}/status`, 'utf8'));
+      return m ? Number(m[1]) * 1024 : null;
+    } catch { return null; }
+  }
+  const kb = Number((await run('ps', ['-p', String(pid), '-o', 'rss=']).then(s => s.trim())) || 0);
+  return kb > 0 ? kb * 1024 : null;
+}
+
+function readLock() {
+  try {
+    const data = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    return Array.isArray(data.instances) ? data.instances : [];
+  } catch { return []; }
+}
+
+function writeLock() {
+  if (!lockPath) return;
+  try {
+    if (!instances.size) { fs.rmSync(lockPath, { force: true }); return; }
+    const list = [...instances.values()].map(({ pid, startedAt, server }) => ({ pid, startedAt, server }));
+    fs.writeFileSync(lockPath, JSON.stringify({ instances: list }, null, 2));
+  } catch { }
+}
+
+function describe(inst) {
+  return {
+    pid: inst.pid,
+    startedAt: new Date(inst.startedAt).toISOString(),
+    uptimeMs: Date.now() - inst.startedAt,
+    server: inst.server || null,
+    adopted: !inst.child
+  };
+}
+
+function snapshot() {
+  const list = [...instances.values()].map(describe);
+  return { running: list.length > 0, instances: list };
+}
+
+function changed() {
+  writeLock();
+  const state = snapshot();
+  for (const fn of emitter.listeners('change')) {
+    try { fn(state); } catch { }
+  }
+}
+
+// code: code de sortie (null si inconnu: client retrouvé via game.lock, ou tué par un signal)
+function removeInstance(pid, code = null, signal = null) {
+  const inst = instances.get(pid);
+  if (!inst) return;
+  instances.delete(pid);
+  if (inst.resolveExit) inst.resolveExit(code);
+  const exit = Object.assign(describe(inst), { code, signal, stopped: !!inst.stopping, memoryMB: inst.memoryMB || null });
+  for (const fn of emitter.listeners('exit')) {
+    try { fn(exit); } catch { }
+  }
+  if (![...instances.values()].some(i => !i.child)) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+  changed();
+}
+
+function addInstance(inst) {
+  inst.exited = new Promise(resolve => { inst.resolveExit = resolve; });
+  instances.set(inst.pid, inst);
+  if (!inst.child && !pollTimer) {
+    pollTimer = setInterval(() => {
+      for (const i of [...instances.values()]) {
+        if (!i.child && !isAlive(i.pid)) removeInstance(i.pid);
+      }
+    }, ADOPTED_POLL_MS);
+  }
+  changed();
+}
+
+// Suit un client démarré par ce launcher. info: { server, memoryMB, startedAt }
+function track(child, info = {}) {
+  if (!child || !child.pid) return null;
+  const inst = { pid: child.pid, startedAt: info.startedAt || Date.now(), server: info.server || null, memoryMB: info.memoryMB || null, child };
+  child.once('exit', (code, signal) => removeInstance(child.pid, code, signal));
+  addInstance(inst);
+  return describe(inst);
+}
+
+// Reprend les clients notés dans game.lock (session précédente ou autre fenêtre) encore en vie
+async function detect() {
+  for (const entry of readLock()) {
+    const pid = Number(entry.pid);
+    if (!pid || instances.has(pid)) continue;
+    if (await isJavaProcess(pid)) {
+      addInstance({ pid, startedAt: Number(new Date(entry.startedAt || Date.now())), server: entry.server || null, child: null });
+    }
+  }
+  writeLock();
+  return snapshot();
+}
+
+function isRunning() {
+  return instances.size > 0;
+}
+
+// État avec la mémoire de chaque client (IPC launcher:gameState)
+async function getState() {
+  const state = snapshot();
+  for (const inst of state.instances) inst.memoryBytes = await readMemory(inst.pid);
+  return state;
+}
+
+function kill(inst, force) {
+  if (process.platform === 'win32') {
+    // taskkill /T: javaw peut avoir lancé des sous-processus
+    return run('taskkill', ['/PID', String(inst.pid), '/T', ...(force ? ['/F'] : [])]);
+  }
+  try {
+    if (inst.child) inst.child.kill(force ? 'SIGKILL' : 'SIGTERM');
+    else process.kill(inst.pid, force ? 'SIGKILL' : 'SIGTERM');
+  } catch { }
+  return Promise.resolve();
+}
+
+// Arrête un client (pid) ou tous; arrêt forcé si le client ne se ferme pas dans le délai
+async function stop(pid = null, { timeoutMs = STOP_TIMEOUT_MS } = {}) {
+  const targets = [...instances.values()].filter(i => !pid || i.pid === pid);
+  await Promise.all(targets.map(async (inst) => {
+    inst.stopping = true;
+    await kill(inst, false);
+    const timedOut = await Promise.race([
+      inst.exited.then(() => false),
+      new Promise(r => setTimeout(() => r(true), inst.child ? timeoutMs : Math.min(timeoutMs, ADOPTED_POLL_MS)))
+    ]);
+    if (timedOut) {
+      await kill(inst, true);
+      // Client retrouvé via game.lock: pas d'événement de sortie, on vérifie nous-mêmes
+      if (!inst.child && !isAlive(inst.pid)) removeInstance(inst.pid);
+    }
+  }));
+  return targets.length;
+}
+
+// fn(state) à chaque démarrage/arrêt d'un client; retourne la fonction de désabonnement
+function onChange(fn) {
+  emitter.on('change', fn);
+  return () => emitter.removeListener('change', fn);
+}
+
+// fn({ pid, startedAt, server, memoryMB, code, signal, stopped, adopted }) à la sortie d'un client, avant onChange
+function onExit(fn) {
+  emitter.on('exit', fn);
+  return () => emitter.removeListener('exit', fn);
+}
+
+module.exports = { init, track, detect, isRunning, getState, stop, onChange, onExit };
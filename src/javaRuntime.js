@@ -0,0 +1,272 @@
+// Runtimes Java utilisables pour le jeu: JRE fournie avec le launcher, JRE téléchargées dans jreRoot,
+// JAVA_HOME, PATH et dossiers d'installation courants. Chaque runtime est identifié en lançant
+// "java -XshowSettings:properties -version" (version, éditeur, architecture) puis classé selon sa compatibilité
+// avec Minecraft/Forge. Une JRE peut être téléchargée (Adoptium) et vérifiée par SHA-256 si aucune ne convient.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const axios = require('axios');
+const AdmZip = require('adm-zip');
+const { downloadResumable } = require('./resumableDownload');
+const { throwIfCancelled } = require('./cancellation');
+const { parseJavaMajor } = require('./jvmArgs');
+
+// Minecraft 1.20.1 / Forge 47: Java 17 requis, versions plus récentes acceptées mais moins bien classées
+const REQUIRED_MAJOR = 17;
+const PROBE_TIMEOUT_MS = 15000;
+const EXTRACT_TIMEOUT_MS = 5 * 60 * 1000;
+const ADOPTIUM_API = 'https://api.adoptium.net/v3/assets/latest';
+const JAVA_EXE = process.platform === 'win32' ? 'java.exe' : 'java';
+
+const http = axios.create({ timeout: 60000, maxContentLength: Infinity, maxBodyLength: Infinity });
+
+let bundledRoot = null; // assets/core/jre
+let managedRoot = null; // jreRoot (userData/jre)
+let cache = null;
+// chemin réel → { mtimeMs, info }: évite de relancer chaque java à chaque recherche
+const probes = new Map();
+
+// bundledDir: assets/core/jre de l'application; managedDir: dossier des JRE téléchargées
+function init({ bundledDir, managedDir }) {
+  bundledRoot = bundledDir;
+  managedRoot = managedDir;
+}
+
+function isFile(p) {
+  try { return fs.statSync(p).isFile(); } catch { return false; }
+}
+
+function subdirs(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true }).filter(d => d.isDirectory() && !d.name.startsWith('.')).map(d => path.join(dir, d.name));
+  } catch { return []; }
+}
+
+// Exécutables java d'un JAVA_HOME (structure macOS Contents/Home comprise)
+function javaInHome(home) {
+  return [path.join(home, 'bin', JAVA_EXE), path.join(home, 'Contents', 'Home', 'bin', JAVA_EXE)].filter(isFile);
+}
+
+function bundledHome() {
+  if (!bundledRoot) return null;
+  if (process.platform === 'win32') return path.join(bundledRoot, 'win');
+  if (process.platform === 'darwin') return path.join(bundledRoot, 'mac');
+  return path.join(bundledRoot, 'linux');
+}
+
+// Dossiers contenant des installations Java, selon la plateforme
+function installRoots() {
+  const home = os.homedir();
+  if (process.platform === 'win32') {
+    const bases = [process.env.ProgramFiles, process.env['ProgramFiles(x86)'], process.env.LOCALAPPDATA && path.join(process.env.LOCALAPPDATA, 'Programs')].filter(Boolean);
+    const vendors = ['Java', 'Eclipse Adoptium', 'Eclipse Foundation', 'AdoptOpenJDK', 'Microsoft', 'Zulu', 'BellSoft', 'Amazon Corretto', 'Semeru'];
+    return bases.flatMap(b => vendors.map(v => path.join(b, v)));
+  }
+  if (process.platform === 'darwin') {
+    return ['/Library/Java/JavaVirtualMachines', path.join(home, 'Library', 'Java', 'JavaVirtualMachines'), path.join(home, '.sdkman', 'candidates', 'java')];
+  }
+  return ['/usr/lib/jvm', '/usr/lib64/jvm', '/usr/java', '/opt/java', '/opt/jdk', path.join(home, '.sdkman', 'candidates', 'java'), path.join(home, '.jdks')];
+}
+
+// [{ path, source }] sans doublons (liens symboliques résolus)
+function findCandidates() {
+  const found = [];
+  const add = (p, source) => found.push({ path: p, source });
+  const bundled = bundledHome();
+  if (bundled) for (const p of javaInHome(bundled)) add(p, 'bundled');
+  if (managedRoot) for (const dir of subdirs(managedRoot)) for (const p of javaInHome(dir)) add(p, 'managed');
+  if (process.env.JAVA_HOME) for (const p of javaInHome(process.env.JAVA_HOME)) add(p, 'JAVA_HOME');
+  for (const dir of String(process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    const p = path.join(dir, JAVA_EXE);
+    if (isFile(p)) add(p, 'PATH');
+  }
+  for (const root of installRoots()) for (const dir of subdirs(root)) for (const p of javaInHome(dir)) add(p, 'system');
+  if (process.platform === 'darwin') {
+    for (const brew of ['/opt/homebrew/opt', '/usr/local/opt']) {
+      for (const dir of subdirs(brew).filter(d => /openjdk/.test(path.basename(d)))) for (const p of javaInHome(dir)) add(p, 'system');
+    }
+  }
+  const seen = new Set();
+  return found.filter((c) => {
+    let real = c.path;
+    try { real = fs.realpathSync(c.path); } catch { }
+    if (seen.has(real)) return false;
+    seen.add(real);
+    return true;
+  });
+}
+
+// "    java.version = 17.0.9" → { 'java.version': '17.0.9' }
+function parseProperties(text) {
+  const props = {};
+  for (const m of String(text || '').matchAll(/^\s+([\w.]+) = (.*)$/gm)) props[m[1]] = m[2].trim();
+  return props;
+}
+
+// Lance java et décrit le runtime: { version, major, vendor, arch, bits, home }; erreur si java ne démarre pas
+function probe(javaPath) {
+  let real = javaPath;
+  let mtimeMs = 0;
+  try { real = fs.realpathSync(javaPath); mtimeMs = fs.statSync(real).mtimeMs; } catch { }
+  const cached = probes.get(real);
+  if (cached && cached.mtimeMs === mtimeMs) return Promise.resolve(cached.info);
+  return new Promise((resolve, reject) => {
+    execFile(javaPath, ['-XshowSettings:properties', '-version'], { timeout: PROBE_TIMEOUT_MS, windowsHide: true }, (err, stdout, stderr) => {
+      const out = `${stderr || ''}${stdout || ''}`;
+      if (err) {
+        reject(new Error(`${javaPath}: ${err.killed ? 'délai dépassé' : (err.message || String(err))}`));
+        return;
+      }
+      const props = parseProperties(out);
+      const version = props['java.version'] || (/version "([^"]+)"/.exec(out) || [])[1] || null;
+      const info = {
+        version,
+        major: parseJavaMajor(`version "${version}"`),
+        vendor: props['java.vendor'] || props['java.vm.vendor'] || null,
+        arch: props['os.arch'] || null,
+        bits: Number(props['sun.arch.data.model']) || (/64/.test(props['os.arch'] || '') ? 64 : null),
+        home: props['java.home'] || null
+      };
+      probes.set(real, { mtimeMs, info });
+      resolve(info);
+    });
+  });
+}
+
+const HOST_ARCH = { x64: ['amd64', 'x86_64'], arm64: ['aarch64', 'arm64'], ia32: ['x86', 'i386', 'i686'] };
+
+// Compatibilité et score (plus haut = meilleur) d'un runtime identifié
+function rank(rt) {
+  if (!rt.major) return { compatible: false, score: 0, reason: 'Version de Java inconnue' };
+  if (rt.major < REQUIRED_MAJOR) return { compatible: false, score: 0, reason: `Java ${rt.major} trop ancien (Java ${REQUIRED_MAJOR} requis)` };
+  let score = 100 - (rt.major - REQUIRED_MAJOR) * 5;
+  let reason = rt.major === REQUIRED_MAJOR ? 'Version recommandée' : `Java ${rt.major}: plus récent que la version recommandée (${REQUIRED_MAJOR})`;
+  if (rt.bits === 32) {
+    score -= 60;
+    reason = 'Java 32 bits: mémoire limitée à environ 1,5 Go';
+  }
+  if ((HOST_ARCH[process.arch] || []).includes(String(rt.arch).toLowerCase())) score += 10;
+  else if (rt.arch) reason += ` (architecture ${rt.arch}, émulée)`;
+  if (rt.source === 'bundled' || rt.source === 'managed') score += 5;
+  return { compatible: true, score, reason };
+}
+
+// Recherche et classe les runtimes: [{ path, source, version, major, vendor, arch, bits, compatible, score, reason }]
+async function discoverRuntimes({ refresh = false } = {}) {
+  if (cache && !refresh) return cache;
+  const list = [];
+  for (const c of findCandidates()) {
+    try {
+      const rt = Object.assign({}, c, await probe(c.path));
+      list.push(Object.assign(rt, rank(rt)));
+    } catch (e) {
+      list.push(Object.assign({}, c, { compatible: false, score: 0, reason: `Ne démarre pas: ${e?.message || e}` }));
+    }
+  }
+  list.sort((a, b) => b.score - a.score);
+  cache = list;
+  return list;
+}
+
+// Runtime à utiliser: celui épinglé dans les paramètres (s'il est compatible), sinon le mieux classé.
+// Retourne { runtime (null si aucun), warnings }
+async function selectRuntime({ pin = null, refresh = false } = {}) {
+  const warnings = [];
+  const list = await discoverRuntimes({ refresh });
+  if (pin) {
+    let pinned = list.find(r => r.path === pin);
+    if (!pinned && isFile(pin)) {
+      try {
+        const rt = Object.assign({ path: pin, source: 'pinned' }, await probe(pin));
+        pinned = Object.assign(rt, rank(rt));
+      } catch (e) {
+        warnings.push(`Java épinglé inutilisable (${e?.message || e})`);
+      }
+    }
+    if (pinned && pinned.compatible) return { runtime: pinned, warnings };
+    if (pinned) warnings.push(`Java épinglé ignoré: ${pinned.reason}`);
+    else if (!warnings.length) warnings.push(`Java épinglé introuvable (${pin})`);
+  }
+  return { runtime: list.find(r => r.compatible) || null, warnings };
+}
+
+// Paquet JRE Adoptium pour cette plateforme: { name, link, sha256, size, release }
+async function fetchRelease({ major = REQUIRED_MAJOR, signal } = {}) {
+  const osName = { win32: 'windows', darwin: 'mac', linux: 'linux' }[process.platform];
+  const arch = { x64: 'x64', arm64: 'aarch64', ia32: 'x32', arm: 'arm' }[process.arch];
+  if (!osName || !arch) throw new Error(`Plateforme non prise en charge pour le téléchargement de Java (${process.platform}/${process.arch})`);
+  const url = `${ADOPTIUM_API}/${major}/hotspot?architecture=${arch}&image_type=jre&os=${osName}&vendor=eclipse`;
+  const res = await http.get(url, { signal });
+  const item = Array.isArray(res.data) ? res.data.find(i => i?.binary?.package?.link) : null;
+  const pkg = item?.binary?.package;
+  if (!pkg || !pkg.checksum) throw new Error(`Aucune JRE ${major} disponible pour ${osName}/${arch}`);
+  return { name: pkg.name, link: pkg.link, sha256: String(pkg.checksum).toLowerCase(), size: pkg.size, release: item.release_name || pkg.name };
+}
+
+function sha256(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file).on('error', reject).on('data', d => hash.update(d)).on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+function extract(archive, dest) {
+  if (/\.zip$/i.test(archive)) {
+    new AdmZip(archive).extractAllTo(dest, true);
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    execFile('tar', ['-xzf', archive, '-C', dest], { timeout: EXTRACT_TIMEOUT_MS, windowsHide: true }, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+// Télécharge, vérifie et extrait une JRE dans jreRoot/<release>; retourne le runtime installé.
+// opts: { major, signal, onStep(id, message), onProgress(received, total) }
+async function installRuntime({ major = REQUIRED_MAJOR, signal = null, onStep = () => {}, onProgress = () => {} } = {}) {
+  if (!managedRoot) throw new Error('Dossier des JRE non initialisé');
+  onStep('download', `Recherche d'une JRE Java ${major}`);
+  const rel = await fetchRelease({ major, signal });
+  const safe = rel.release.replace(/[^a-zA-Z0-9._+-]/g, '_');
+  const downloads = path.join(managedRoot, '.downloads');
+  fs.mkdirSync(downloads, { recursive: true });
+  const archive = path.join(downloads, rel.name.replace(/[^a-zA-Z0-9._+-]/g, '_'));
+  onStep('download', `Téléchargement de ${rel.release}`);
+  await downloadResumable(http, rel.link, archive, { signal, onProgress });
+
+  onStep('verify', 'Vérification de l\'empreinte SHA-256');
+  if ((await sha256(archive)) !== rel.sha256) {
+    try { fs.unlinkSync(archive); } catch { }
+    throw new Error(`Empreinte SHA-256 invalide pour ${rel.name}: archive supprimée`);
+  }
+  throwIfCancelled(signal);
+
+  onStep('extract', `Extraction de ${rel.release}`);
+  const target = path.join(managedRoot, safe);
+  const staging = path.join(managedRoot, `.${safe}.partial`);
+  fs.rmSync(staging, { recursive: true, force: true });
+  fs.mkdirSync(staging, { recursive: true });
+  try {
+    await extract(archive, staging);
+    // L'archive contient un dossier racine (jdk-17.0.x+y-jre)
+    const root = subdirs(staging).length === 1 && !javaInHome(staging).length ? subdirs(staging)[0] : staging;
+    const javaPath = javaInHome(root)[0];
+    if (!javaPath) throw new Error('Exécutable java introuvable dans l\'archive');
+    if (process.platform !== 'win32') { try { fs.chmodSync(javaPath, 0o755); } catch { } }
+    fs.rmSync(target, { recursive: true, force: true });
+    fs.renameSync(root, target);
+  } finally {
+    fs.rmSync(staging, { recursive: true, force: true });
+  }
+  try { fs.unlinkSync(archive); } catch { }
+
+  cache = null;
+  const installed = path.resolve(javaInHome(target)[0]);
+  const list = await discoverRuntimes({ refresh: true });
+  const runtime = list.find(r => path.resolve(r.path) === installed);
+  if (!runtime || !runtime.compatible) throw new Error(`JRE installée inutilisable: ${runtime ? runtime.reason : installed}`);
+  return runtime;
+}
+
+module.exports = { REQUIRED_MAJOR, init, probe, discoverRuntimes, selectRuntime, installRuntime };
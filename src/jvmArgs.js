@@ -0,0 +1,147 @@
+// Arguments JVM du client: préréglage (GC), arguments personnalisés saisis dans le launcher et tas minimum.
+// Le résultat est passé à MCLC via customArgs, après ses propres arguments (-Xmx/-Xms, java.library.path...).
+const DEFAULT_MIN_HEAP_MB = 512;
+const MIN_HEAP_FLOOR_MB = 256;
+const MAX_CUSTOM_ARGS_LENGTH = 2000;
+
+const PRESETS = {
+  default: { label: 'Par défaut', args: [] },
+  // Réglages G1 d'Aikar, adaptés aux gros modpacks Forge
+  aikar: {
+    label: 'G1 optimisé (Aikar)',
+    args: [
+      '-XX:+UseG1GC', '-XX:+ParallelRefProcEnabled', '-XX:MaxGCPauseMillis=200', '-XX:+UnlockExperimentalVMOptions',
+      '-XX:+DisableExplicitGC', '-XX:+AlwaysPreTouch', '-XX:G1NewSizePercent=30', '-XX:G1MaxNewSizePercent=40',
+      '-XX:G1HeapRegionSize=8M', '-XX:G1ReservePercent=20', '-XX:G1HeapWastePercent=5', '-XX:G1MixedGCCountTarget=4',
+      '-XX:InitiatingHeapOccupancyPercent=15', '-XX:G1MixedGCLiveThresholdPercent=90', '-XX:G1RSetUpdatingPauseTimePercent=5',
+      '-XX:SurvivorRatio=32', '-XX:+PerfDisableSharedMem', '-XX:MaxTenuringThreshold=1'
+    ]
+  },
+  lowmem: {
+    label: 'Faible mémoire',
+    args: ['-XX:+UseG1GC', '-XX:MaxGCPauseMillis=50', '-XX:+UseStringDeduplication', '-XX:SoftRefLRUPolicyMSPerMB=0', '-XX:G1HeapRegionSize=4M']
+  },
+  zgc: { label: 'ZGC (Java 17+)', minJava: 17, args: ['-XX:+UseZGC', '-XX:+DisableExplicitGC'] }
+};
+
+const GC_FLAG = /^-XX:\+Use(Serial|Parallel|ParallelOld|G1|Z|Shenandoah|ConcMarkSweep|Epsilon)GC$/;
+
+// Options refusées dans les arguments personnalisés: motif et raison affichée
+const FORBIDDEN = [
+  { re: /^-Xm[sx]|^-XX:(Max|Min|Initial)HeapSize=|^-XX:MaxRAM/i, reason: 'la mémoire se règle avec le curseur et le tas minimum' },
+  { re: /^-(cp|classpath|jar)$|^--class-path/, reason: 'le classpath est géré par le launcher' },
+  { re: /^-(javaagent|agentlib|agentpath)[:=]|^-Xrun/, reason: 'les agents Java peuvent modifier le jeu et ne sont pas autorisés' },
+  { re: /^@|^-XX:(VMOptionsFile|Flags)=/, reason: 'charge des options depuis un fichier, sans vérification' },
+  {
+    re: /^-Xbootclasspath|^--(patch-module|module-path|upgrade-module-path|add-modules)|^-p$|^-XX:SharedArchiveFile=|^-XX:[+-]?\w*JVMCI|^-XX:\+(EnableDynamicAgentLoading|StartAttachListener)/,
+    reason: 'permet de charger du code dans le jeu'
+  },
+  { re: /^-XX:On(Error|OutOfMemoryError)=/, reason: 'exécute une commande système' },
+  { re: /^-Djava\.(library|class)\.path=|^-D(minecraft|fml)\./, reason: 'propriété réservée au launcher' },
+  { re: /^-Dlog4j2?\.configurationFile=/, reason: 'configuration de journalisation externe non autorisée' },
+  { re: /^--?(version|help)$|^-(showversion|X)$/, reason: 'empêche le démarrage du jeu' }
+];
+
+// Hors refus ci-dessus, seules ces options sont acceptées: réglages HotSpot (-XX:), quelques -X sans effet
+// sur le code chargé et des propriétés système courantes (d'autres chargent une classe: java.system.class.loader...)
+const ALLOWED = [
+  /^-XX:[+-]?\w+(=\S*)?$/,
+  /^-X(ss|mn)\d+[kKmMgG]?$|^-Xlog(:\S*)?$|^-Xshare:(auto|off)$|^-X(noclassgc|rs|diag)$/,
+  /^-D(file\.encoding|sun\.(stdout|stderr|jnu)\.encoding|java\.net\.prefer(IPv4Stack|IPv6Addresses)|user\.(language|country|region|timezone)|java\.awt\.headless|log4j2\.formatMsgNoLookups|sun\.java2d\.\w+)=\S*$/,
+  /^-(ea|da|esa|dsa)(:\S+)?$|^-verbose(:(gc|class|jni|module))?$/
+];
+
+// Découpe une ligne d'arguments en respectant les guillemets (-Dx="a b" → -Dx=a b)
+function splitArgs(text) {
+  const tokens = String(text || '').match(/(?:[^\s"']+|"[^"]*"|'[^']*')+/g) || [];
+  return tokens.map(t => t.replace(/"([^"]*)"|'([^']*)'/g, (_m, a, b) => a ?? b));
+}
+
+// Vérifie les arguments personnalisés: { ok, args, errors }
+function validateCustomArgs(text) {
+  const errors = [];
+  const raw = String(text || '').trim();
+  if (raw.length > MAX_CUSTOM_ARGS_LENGTH) {
+    return { ok: false, args: [], errors: [`Arguments trop longs (${MAX_CUSTOM_ARGS_LENGTH} caractères maximum)`] };
+  }
+  const args = splitArgs(raw);
+  for (const arg of args) {
+    const rule = FORBIDDEN.find(r => r.re.test(arg));
+    if (rule) errors.push(`« ${arg} » refusé: ${rule.reason}`);
+    else if (!arg.startsWith('-')) errors.push(`« ${arg} » n'est pas une option Java`);
+    else if (!ALLOWED.some(re => re.test(arg))) errors.push(`« ${arg} » non autorisé (options acceptées: -XX:, -Xss, -Xmn, -Xlog et propriétés -D courantes)`);
+  }
+  const gcs = args.filter(a => GC_FLAG.test(a));
+  if (gcs.length > 1) errors.push(`Plusieurs ramasse-miettes demandés (${gcs.join(', ')})`);
+  return { ok: errors.length === 0, args, errors };
+}
+
+// Version majeure depuis la sortie de "java -version" (1.8.0_392 → 8, 17.0.9 → 17)
+function parseJavaMajor(output) {
+  const m = /version "(\d+)(?:\.(\d+))?/.exec(String(output || ''));
+  if (!m) return null;
+  const major = Number(m[1]);
+  return major === 1 && m[2] ? Number(m[2]) : major;
+}
+
+// { preset, customArgs, minHeapMB, maxHeapMB, javaMajor } → { ok, args, minHeapMB, preset, warnings, errors }
+function resolveJvmArgs({ preset = 'default', customArgs = '', minHeapMB, maxHeapMB, javaMajor = null } = {}) {
+  const warnings = [];
+  let presetId = PRESETS[preset] ? preset : 'default';
+  if (preset && !PRESETS[preset]) warnings.push(`Préréglage JVM inconnu (${preset}): réglage par défaut utilisé`);
+  const def = PRESETS[presetId];
+  if (def.minJava && javaMajor && javaMajor < def.minJava) {
+    warnings.push(`Préréglage ${def.label} indisponible avec Java ${javaMajor}: réglage par défaut utilisé`);
+    presetId = 'default';
+  }
+  const custom = validateCustomArgs(customArgs);
+  // Un ramasse-miettes personnalisé remplace celui du préréglage (la JVM refuse deux GC)
+  let presetArgs = PRESETS[presetId].args;
+  const customGc = custom.args.find(a => GC_FLAG.test(a));
+  if (customGc && presetArgs.some(a => GC_FLAG.test(a))) {
+    warnings.push(`${customGc} remplace le préréglage ${PRESETS[presetId].label}`);
+    presetArgs = [];
+  }
+  let min = Math.round(Number(minHeapMB)) || DEFAULT_MIN_HEAP_MB;
+  min = Math.max(MIN_HEAP_FLOOR_MB, min);
+  if (maxHeapMB && min > maxHeapMB) {
+    warnings.push(`Tas minimum (${min} Mo) supérieur à la mémoire allouée: ramené à ${maxHeapMB} Mo`);
+    min = maxHeapMB;
+  }
+  return {
+    ok: custom.ok,
+    preset: presetId,
+    args: [...presetArgs, ...custom.args],
+    minHeapMB: min,
+    warnings,
+    errors: custom.errors
+  };
+}
+
+// Ligne de commande lisible pour le journal (jeton d'accès masqué, métadonnées Yggdrasil abrégées,
+// arguments avec espaces entre guillemets)
+// Même masquage sur un texte libre (traces 'debug' de MCLC qui recopient la ligne de commande)
+function maskCommandLine(text) {
+  return String(text)
+    .replace(/(-Dauthlibinjector\.yggdrasil\.prefetched=)\S+/g, '$1…')
+    .replace(/(--accessToken\s+)\S+/g, '$1[masqué]');
+}
+
+function formatCommandLine(javaPath, args) {
+  const parts = [javaPath, ...args].map(a => String(a).replace(/^(-Dauthlibinjector\.yggdrasil\.prefetched=).+/, '$1…'));
+  for (let i = 0; i < parts.length - 1; i++) {
+    if (parts[i] === '--accessToken') parts[i + 1] = '[masqué]';
+  }
+  return parts.map(a => (/\s/.test(a) ? `"${a}"` : a)).join(' ');
+}
+
+module.exports = {
+  PRESETS,
+  DEFAULT_MIN_HEAP_MB,
+  splitArgs,
+  validateCustomArgs,
+  parseJavaMajor,
+  resolveJvmArgs,
+  formatCommandLine,
+  maskCommandLine
+};
@@ -1,16 +1,48 @@
 // Load .env early
 try { require('dotenv').config({ path: require('path').join(__dirname, '.env') }); } catch { }
-const { app, BrowserWindow, ipcMain, dialog, nativeImage } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, nativeImage, shell } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
 
+// Garde de mise à jour: au plus tôt, avant de charger le reste du launcher
+const updateGuard = require('./updateGuard');
+let bootUpdateState = null;
+try {
+  updateGuard.init(app.getPath('userData'));
+  bootUpdateState = updateGuard.checkPendingOnBoot();
+} catch { }
+if (bootUpdateState === 'rollback') {
+  // Version précédente restaurée: redémarrer dessus
+  app.relaunch();
+  app.exit(0);
+}
+
 const AdmZip = require('adm-zip');
 let DiscordRPC;
 try { DiscordRPC = require('discord-rpc'); } catch { }
 const axios = require('axios');
-const net = require('net');
-const { ensureAll, launchMinecraft, readUserProfile, logoutEminium, checkReady, prepareGame } = require('./setup');
+const { ensureAll, launchMinecraft, readUserProfile, logoutEminium, verifyEminiumSession, checkReady, prepareGame, MC_VERSION, MC_PROTOCOL, eminiumDir } = require('./setup');
+const { pingServer, isProtocolCompatible } = require('./serverPing');
+const { MANIFEST_NAME, SIGNATURE_NAME, sha256File, parseSignedManifest, verifyUpdateTree } = require('./updateVerify');
+const { downloadResumable } = require('./resumableDownload');
+const { isCancelled, throwIfCancelled } = require('./cancellation');
+const { getMirrorStats } = require('./mirrorHealth');
+const { DEFAULT_CONCURRENCY } = require('./downloadScheduler');
+const { normalizeUpdatePrefs, normalizeReleases, selectRelease, compareVersions } = require('./updateChannel');
+const progressBus = require('./progressBus');
+const gameProcess = require('./gameProcess');
+gameProcess.init(eminiumDir);
+const sessionLog = require('./sessionLog');
+const { collectCrashArtifacts, analyzeCrash, formatCrashSummary } = require('./crashReport');
+const { buildDiagnosticZip } = require('./diagnostics');
+const { applyLauncherOptions, readLauncherOptions } = require('./gameOptions');
+const { PRESETS, DEFAULT_MIN_HEAP_MB, validateCustomArgs, formatCommandLine, maskCommandLine } = require('./jvmArgs');
+const javaRuntime = require('./javaRuntime');
+const credentialStore = require('./credentialStore');
+const accountStore = require('./accountStore');
+sessionLog.init(eminiumDir);
+sessionLog.startSession('launcher');
 
 let mainWindow;
 let windowIcon; // nativeImage pour l'icône
@@ -18,7 +50,14 @@ let rpcClient = null;
 let rpcReady = false;
 // When true, app stays alive in background even if all windows are closed (used when closing on play)
 let keepAliveBackground = false;
-let isGameRunning = false;
+// Tâche 'play' en cours (préparation jusqu'au démarrage du client): un seul lancement à la fois
+let playTask = null;
+// Vrai entre le clic sur Jouer et la création de playTask (détection d'un client déjà lancé)
+let playStarting = false;
+// Vérification de la session Azuriom lancée au démarrage (Promise)
+let startupSessionCheck = null;
+// Nom du serveur sélectionné (Discord Rich Presence)
+let currentServerName = 'Eminium';
 // Shared Discord Application ID for all users. Replace the placeholder with your real Client ID.
 const DISCORD_APP_ID_SHARED = process.env.DISCORD_APP_ID_SHARED || '1400888551486521454';
 
@@ -102,7 +141,7 @@ function setPresenceIdle() {
     if (!rpcClient || !rpcReady) return;
     rpcClient.setActivity({
       details: 'Dans le launcher — Navigation',
-      state: 'Eminium',
+      state: currentServerName,
       largeImageKey: 'eminium',
       largeImageText: 'Eminium Launcher',
       instance: false
@@ -127,8 +166,8 @@ function setPresencePlaying() {
   try {
     if (!rpcClient || !rpcReady) return;
     rpcClient.setActivity({
-      details: 'En jeu sur Eminium',
-      state: 'Joue à Eminium',
+      details: `En jeu sur ${currentServerName}`,
+      state: `Joue à ${currentServerName}`,
       largeImageKey: 'eminium',
       largeImageText: 'Minecraft',
       instance: true
@@ -138,14 +177,19 @@ function setPresencePlaying() {
 
 const { loginEminium } = require('./setup.js');
 ipcMain.handle('auth:login', async (_evt, { email, password, code }) => {
-  return await loginEminium(email, password, code);
+  const previous = accountStore.activeKey();
+  const res = await loginEminium(email, password, code);
+  // Clé précédente disparue: même compte enregistré sous une nouvelle clé, ses réglages sont déjà en place
+  if (res?.status === 'success' && (!previous || accountStore.getProfile(previous))) {
+    swapAccountSettings(previous, accountStore.activeKey());
+  }
+  return res;
 });
 
 // (payments notifications removed)
 
 const REPO_OWNER = 'Eminium-Games';
 const REPO_NAME = 'EminiumLauncher';
-const REPO_BRANCH = 'main';
 const APP_VERSION = (() => {
   try {
     const pkg = require(path.join(__dirname, '..', 'package.json'));
@@ -200,140 +244,128 @@ function createWindow() {
   // Improve readability on standard displays
   try { mainWindow.webContents.setZoomFactor(1.1); } catch { }
 
-  // Relayer les événements de progression émis côté setup.js (globalThis.emitPlayProgress)
-  global.emitPlayProgress = (data) => {
-    try {
-      if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('play:progress', data);
-      }
-    } catch { }
-  };
+  // Un crash du renderer avant confirmation annule la mise à jour en attente (démarrage sur mise à jour uniquement)
+  mainWindow.webContents.on('render-process-gone', (_e, details) => {
+    if (rollbackArmed && updateGuard.isPending()) rollbackUpdateAndRelaunch(`Renderer arrêté (${details?.reason || 'inconnu'})`);
+  });
 
   // Cleanup on window closed
   mainWindow.on('closed', () => {
-    try { global.emitPlayProgress = () => { }; } catch { }
     mainWindow = null;
   });
 }
 
+// Ancien journal du flux (progress.jsonl), remplacé par le journal de session
+for (const name of ['progress.jsonl', 'progress.1.jsonl']) {
+  try { fs.rmSync(path.join(eminiumDir, 'logs', name), { force: true }); } catch { }
+}
+
+// Flux de progression (progressBus.js) → renderer sur un seul canal, et journal de session (seul journal sur disque)
+progressBus.subscribe((evt) => {
+  logProgressEvent(evt);
+  try {
+    if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('progress:event', evt);
+  } catch { }
+});
+
+// Journal de session (sessionLog.js): messages du bus, hors avancement chiffré
+function logProgressEvent(evt) {
+  const source = evt.data?.source === 'game' ? 'game' : (evt.kind || 'launcher');
+  if (evt.type === 'log' || evt.type === 'step') {
+    sessionLog.append({ ts: evt.ts, level: evt.severity, source, message: evt.message });
+  } else if (evt.type === 'task:start') {
+    sessionLog.append({ ts: evt.ts, level: 'info', source, message: `Début: ${evt.message}` });
+  } else if (evt.type === 'task:end') {
+    const outcome = evt.data?.ok ? 'Terminé' : (evt.data?.cancelled ? 'Annulé' : 'Échec');
+    sessionLog.append({ ts: evt.ts, level: evt.severity, source, message: evt.message ? `${outcome}: ${evt.message}` : outcome });
+  }
+}
+
+// Lignes du journal → renderer, par lots (la sortie du jeu peut être très bavarde)
+let pendingLogEntries = [];
+let pendingLogSession = null;
+let logFlushTimer = null;
+sessionLog.onAppend((entries, sessionId) => {
+  if (pendingLogSession !== sessionId) flushLogEntries();
+  pendingLogSession = sessionId;
+  pendingLogEntries.push(...entries);
+  if (!logFlushTimer) logFlushTimer = setTimeout(flushLogEntries, 250);
+});
+function flushLogEntries() {
+  clearTimeout(logFlushTimer);
+  logFlushTimer = null;
+  if (!pendingLogEntries.length) return;
+  const payload = { sessionId: pendingLogSession, entries: pendingLogEntries };
+  pendingLogEntries = [];
+  try {
+    if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('logs:entries', payload);
+  } catch { }
+}
+
+// Annule la mise à jour non confirmée et redémarre sur la version précédente
+function rollbackUpdateAndRelaunch(reason) {
+  try { updateGuard.rollback(reason); } catch { }
+  app.relaunch();
+  app.exit(0);
+}
+
+// Hooks de rollback armés seulement dans le processus démarré sur une mise à jour en attente, et désarmés à sa
+// confirmation: hors de cette fenêtre, une exception non interceptée garde le comportement par défaut
+let rollbackArmed = bootUpdateState === 'pending';
+function rollbackOnBootError(e) {
+  rollbackUpdateAndRelaunch(`Erreur au démarrage: ${e?.message || e}`);
+}
+function disarmRollback() {
+  rollbackArmed = false;
+  process.removeListener('uncaughtException', rollbackOnBootError);
+}
+if (rollbackArmed) process.on('uncaughtException', rollbackOnBootError);
+
 app.whenReady().then(async () => {
+  if (rollbackArmed) {
+    setTimeout(() => {
+      if (rollbackArmed && updateGuard.isPending()) rollbackUpdateAndRelaunch('La nouvelle version n\'a pas confirmé son démarrage à temps');
+    }, updateGuard.CONFIRM_TIMEOUT_MS);
+  }
+  startupSessionCheck = checkSession();
   createWindow();
+  warnWeakCredentialStorage();
   // Init Discord RPC if configured
   try { await initDiscordRPC(); } catch { }
+  // Client resté ouvert après la fermeture d'une session précédente du launcher
+  try {
+    const state = await gameProcess.detect();
+    if (state.running) {
+      progressBus.log(`Minecraft déjà en cours d'exécution (PID ${state.instances.map(i => i.pid).join(', ')})`, 'info');
+      try { setPresencePlaying(); } catch { }
+    }
+  } catch { }
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) createWindow();
   });
 
   // Désactivation des fonctionnalités de maintenance
 
-  // Auto-check on startup: if remote version differs, force reinstall
+  // Auto-check on startup: release du canal choisi, ou version minimale imposée
   try {
     if (String(process.env.DISABLE_AUTO_UPDATE || '').toLowerCase() === 'true' || process.env.DISABLE_AUTO_UPDATE === '1') {
       // Skip auto update check if disabled
+    } else if (bootUpdateState === 'pending') {
+      // Mise à jour précédente pas encore confirmée: ne pas en empiler une autre
     } else {
-      const headers = getGithubHeaders();
-      // Read remote package.json via Contents API (honors Authorization)
-      const pkgApi = `https://api.github.com/repos/${REPO_OWNER}/${REPO_NAME}/contents/package.json?ref=${REPO_BRANCH}`;
-      const pkgRes = await axios.get(pkgApi, { timeout: 15000, headers });
-      let remoteVersion = '';
-      try {
-        const content = pkgRes?.data?.content; // base64
-        if (content) {
-          const json = JSON.parse(Buffer.from(String(content), 'base64').toString('utf8'));
-          if (json && typeof json.version === 'string') remoteVersion = json.version.trim();
-        }
-      } catch { }
-      if (remoteVersion && remoteVersion !== APP_VERSION) {
-        // Fetch latest commit sha for tag and asset URL
-        const commitApi = `https://api.github.com/repos/${REPO_OWNER}/${REPO_NAME}/commits/${REPO_BRANCH}`;
-        const cres = await axios.get(commitApi, { timeout: 15000, headers });
-        const sha = String(cres?.data?.sha || '').trim();
-        const tag = sha || `v-${Date.now()}`;
-        const assetUrl = `https://codeload.github.com/${REPO_OWNER}/${REPO_NAME}/zip/refs/heads/${REPO_BRANCH}`;
-        // Reuse download/apply flows to show progress in renderer if open
-        const dlHeaders = getGithubHeaders({});
-        const updatesBase = path.join(app.getPath('userData'), 'updates', tag.replace(/[^a-zA-Z0-9._-]/g, '_'));
-        try { fs.mkdirSync(updatesBase, { recursive: true }); } catch { }
-        const destZip = path.join(updatesBase, 'launcher.zip');
-        if (mainWindow && !mainWindow.isDestroyed()) {
-          mainWindow.webContents.send('update:progress', { phase: 'start', currentFile: 0, totalFiles: 1, label: 'Préparation du téléchargement' });
-        }
-        const resp = await axios.get(assetUrl, { responseType: 'stream', timeout: 60000, maxContentLength: Infinity, maxBodyLength: Infinity, headers: dlHeaders });
-        const total = Number(resp.headers['content-length'] || 0);
-        let downloaded = 0;
-        await new Promise((resolve, reject) => {
-          const ws = fs.createWriteStream(destZip);
-          resp.data.on('data', (chunk) => {
-            downloaded += chunk.length;
-            if (mainWindow && !mainWindow.isDestroyed()) {
-              const percent = total ? Math.round((downloaded / total) * 100) : Math.min(99, Math.round(downloaded / (1024 * 1024)));
-              mainWindow.webContents.send('update:progress', { phase: 'downloading', currentFile: 1, totalFiles: 1, percent });
-            }
-          });
-          resp.data.on('error', reject);
-          ws.on('error', reject);
-          ws.on('finish', resolve);
-          resp.data.pipe(ws);
-        });
-        if (mainWindow && !mainWindow.isDestroyed()) {
-          mainWindow.webContents.send('update:progress', { phase: 'downloaded', message: 'Téléchargement terminé.' });
-        }
-        // Apply
-        const zip = new AdmZip(destZip);
-        const staging = path.join(updatesBase, 'staging');
-        try { fs.rmSync(staging, { recursive: true, force: true }); } catch { }
-        fs.mkdirSync(staging, { recursive: true });
-        zip.extractAllTo(staging, true);
-        const entryNames = fs.readdirSync(staging, { withFileTypes: true });
-        const rootName = entryNames.find(e => e.isDirectory())?.name;
-        const root = rootName ? path.join(staging, rootName) : staging;
-        const appDir = path.join(__dirname, '..');
-        const copyList = ['assets', 'src', 'package.json', 'package-lock.json', 'node_modules'];
-        const ensureDir = (p) => { try { fs.mkdirSync(p, { recursive: true }); } catch { } };
-        const listFiles = (dir) => {
-          let n = 0; const st = fs.statSync(dir);
-          if (st.isFile()) return 1;
-          for (const name of fs.readdirSync(dir)) {
-            const p = path.join(dir, name);
-            const s = fs.statSync(p);
-            n += s.isDirectory() ? listFiles(p) : 1;
-          }
-          return n;
-        };
-        let totalFiles = 0;
-        for (const item of copyList) {
-          const p = path.join(root, item);
-          if (fs.existsSync(p)) totalFiles += listFiles(p);
-        }
-        let currentFile = 0;
-        if (mainWindow && !mainWindow.isDestroyed()) {
-          mainWindow.webContents.send('update:progress', { phase: 'applying', currentFile, totalFiles, label: 'Application de la mise à jour' });
-        }
-        const applyOne = (src, dst) => {
-          const st = fs.statSync(src);
-          if (st.isDirectory()) {
-            ensureDir(dst);
-            for (const name of fs.readdirSync(src)) applyOne(path.join(src, name), path.join(dst, name));
-          } else if (st.isFile()) {
-            ensureDir(path.dirname(dst));
-            fs.copyFileSync(src, dst);
-            currentFile++;
-            if (mainWindow && !mainWindow.isDestroyed()) {
-              mainWindow.webContents.send('update:progress', { phase: 'applying', currentFile, totalFiles });
-            }
-          }
-        };
-        for (const item of copyList) {
-          const srcPath = path.join(root, item);
-          if (fs.existsSync(srcPath)) applyOne(srcPath, path.join(appDir, item));
-        }
-        const storeDir = path.join(app.getPath('userData'), 'updates');
-        try { fs.mkdirSync(storeDir, { recursive: true }); } catch { }
-        const lastFile = path.join(storeDir, 'last_sha.txt');
-        try { fs.writeFileSync(lastFile, tag); } catch { }
-        if (mainWindow && !mainWindow.isDestroyed()) {
-          mainWindow.webContents.send('update:progress', { phase: 'done', message: 'Mise à jour appliquée. Redémarrage...' });
+      const info = await resolveUpdate();
+      if (info.updateAvailable) {
+        const { tag } = info.latest;
+        const task = getUpdateTask(tag);
+        // Apply (refusé si la signature ou une empreinte ne correspond pas)
+        try {
+          const { updatesBase } = await downloadUpdate(info.latest, task);
+          await applyUpdateArchive(updatesBase, tag, task);
+        } catch (e) {
+          task.fail(e);
+          return;
         }
+        task.done('Mise à jour appliquée. Redémarrage...');
         // Relaunch
         app.relaunch();
         app.quit();
@@ -357,7 +389,7 @@ app.on('window-all-closed', () => {
 app.on('before-quit', () => {
   try { clearPresence(); } catch { }
   try { destroyDiscordRPC(); } catch { }
-  try { global.emitPlayProgress = () => { }; } catch { }
+  try { sessionLog.closeSession(); } catch { }
 });
 
 // Settings storage (JSON under userData)
@@ -384,6 +416,46 @@ function writeSettings(patch) {
   } catch (e) { return { ok: false, error: e?.message || String(e) }; }
 }
 
+// Arguments JVM (jvmPreset, jvmArgs: texte libre, minHeapMB), appliqués au prochain lancement
+function readJvmSettings() {
+  const s = readSettings();
+  return {
+    preset: PRESETS[s.jvmPreset] ? s.jvmPreset : 'default',
+    customArgs: typeof s.jvmArgs === 'string' ? s.jvmArgs : '',
+    minHeapMB: Math.round(Number(s.minHeapMB)) || DEFAULT_MIN_HEAP_MB
+  };
+}
+
+// Reprend dans settings.json les réglages vidéo modifiés en jeu depuis la dernière synchronisation.
+// gameOptionsMtimeMs: date de options.txt lors de la dernière écriture/lecture par le launcher.
+function pullGameOptions() {
+  try {
+    const s = readSettings();
+    const res = readLauncherOptions(eminiumDir, Number(s.gameOptionsMtimeMs) || 0);
+    if (!res) return false;
+    writeSettings(Object.assign({}, res.values, { gameOptionsMtimeMs: res.mtimeMs }));
+    return true;
+  } catch { return false; }
+}
+
+// Écrit distance de rendu, FPS et VSync du launcher dans options.txt (autres options du jeu conservées)
+function pushGameOptions() {
+  const mtimeMs = applyLauncherOptions(eminiumDir, readSettings());
+  writeSettings({ gameOptionsMtimeMs: mtimeMs });
+}
+
+// Réglages de la file de téléchargement du jeu (downloadConcurrency, downloadLimitKBs: 0 = illimité)
+function readDownloadSettings() {
+  const s = readSettings();
+  const concurrency = Math.round(Number(s.downloadConcurrency));
+  const limit = Math.round(Number(s.downloadLimitKBs));
+  return {
+    downloadConcurrency: concurrency >= 1 ? Math.min(32, concurrency) : DEFAULT_CONCURRENCY,
+    // Plancher de 64 Ko/s: plus bas, une connexion peut rester sans données au-delà du délai anti-blocage
+    downloadLimitKBs: limit > 0 ? Math.max(64, limit) : 0
+  };
+}
+
 // Helper: detect if saved profile represents an admin
 function isAdminProfile(p) {
   try {
@@ -398,8 +470,135 @@ function isAdminProfile(p) {
   } catch { return false; }
 }
 
+// --- Liste des serveurs ---
+// Liste distante (JSON) + surcharge locale .eminium/servers.json; le serveur choisi est mémorisé dans settings.json
+// Format: [{ id, name, host, port, icon, modpack }] où modpack = URL du manifest ou { manifestUrl, zipUrl }
+const SERVER_LIST_URL = process.env.SERVER_LIST_URL || 'https://eminium.ovh/launcher/servers.json';
+const DEFAULT_SERVERS = [
+  { id: 'eminium', name: 'Eminium', host: '82.64.85.47', port: 25565, icon: null, modpack: null }
+];
+let serverListCache = null;
+
+// Icône de serveur affichée par le renderer: URL http(s) ou image data: en base64 uniquement
+function normalizeServerIcon(icon) {
+  if (typeof icon !== 'string') return null;
+  const value = icon.trim();
+  if (/^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/=]+$/.test(value)) return value;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url.toString() : null;
+  } catch { return null; }
+}
+
+function normalizeServerEntry(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const host = String(raw.host || '').trim();
+  const port = raw.port == null ? 25565 : Number(raw.port);
+  if (!host || !Number.isInteger(port) || port < 1 || port > 65535) return null;
+  let modpack = null;
+  if (typeof raw.modpack === 'string' && raw.modpack.trim()) {
+    modpack = { manifestUrl: raw.modpack.trim(), zipUrl: null };
+  } else if (raw.modpack && typeof raw.modpack === 'object' && (raw.modpack.manifestUrl || raw.modpack.zipUrl)) {
+    modpack = {
+      manifestUrl: raw.modpack.manifestUrl ? String(raw.modpack.manifestUrl) : null,
+      zipUrl: raw.modpack.zipUrl ? String(raw.modpack.zipUrl) : null
+    };
+  }
+  return {
+    id: String(raw.id || `${host}:${port}`).trim(),
+    name: String(raw.name || host).trim(),
+    host,
+    port,
+    icon: normalizeServerIcon(raw.icon),
+    modpack
+  };
+}
+
+function normalizeServerList(list) {
+  const out = new Map();
+  for (const raw of Array.isArray(list) ? list : []) {
+    const entry = normalizeServerEntry(raw);
+    if (entry && !out.has(entry.id)) out.set(entry.id, entry);
+  }
+  return [...out.values()];
+}
+
+function getServerCachePath() {
+  return path.join(app.getPath('userData'), 'servers-cache.json');
+}
+
+// { disableRemote: false, servers: [] } — mêmes conventions que mirrors.json
+function readLocalServerOverride() {
+  try {
+    const p = path.join(eminiumDir, 'servers.json');
+    if (fs.existsSync(p)) {
+      const obj = JSON.parse(fs.readFileSync(p, 'utf8'));
+      if (obj && typeof obj === 'object') return obj;
+    }
+  } catch { }
+  return {};
+}
+
+async function loadServerList({ refresh = false } = {}) {
+  if (serverListCache && !refresh) return serverListCache;
+  const local = readLocalServerOverride();
+  let remote = [];
+  if (!local.disableRemote) {
+    try {
+      const res = await axios.get(SERVER_LIST_URL, { timeout: 8000, headers: { 'Accept': 'application/json', 'User-Agent': `EminiumLauncher/${APP_VERSION}` } });
+      remote = normalizeServerList(Array.isArray(res.data) ? res.data : res.data?.servers);
+      if (remote.length) {
+        try { fs.writeFileSync(getServerCachePath(), JSON.stringify(remote, null, 2), 'utf8'); } catch { }
+      }
+    } catch { }
+    // Hors ligne: dernière liste distante connue
+    if (!remote.length) {
+      try { remote = normalizeServerList(JSON.parse(fs.readFileSync(getServerCachePath(), 'utf8'))); } catch { }
+    }
+    if (!remote.length) remote = DEFAULT_SERVERS;
+  }
+  // Les entrées locales remplacent (même id) ou complètent la liste distante
+  const merged = new Map(remote.map(s => [s.id, s]));
+  for (const s of normalizeServerList(local.servers)) merged.set(s.id, s);
+  serverListCache = merged.size ? [...merged.values()] : DEFAULT_SERVERS;
+  return serverListCache;
+}
+
+async function getSelectedServer() {
+  const list = await loadServerList();
+  const id = readSettings().selectedServer;
+  return list.find(s => s.id === id) || list[0];
+}
+
+ipcMain.handle('servers:list', async (_evt, payload) => {
+  try {
+    const servers = await loadServerList({ refresh: !!(payload && payload.refresh) });
+    const selected = await getSelectedServer();
+    currentServerName = selected?.name || currentServerName;
+    return { ok: true, servers, selectedId: selected?.id || null };
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e) };
+  }
+});
+
+ipcMain.handle('servers:select', async (_evt, id) => {
+  try {
+    const list = await loadServerList();
+    const entry = list.find(s => s.id === id);
+    if (!entry) return { ok: false, error: 'Serveur inconnu' };
+    const res = writeSettings({ selectedServer: entry.id });
+    if (!res.ok) return res;
+    currentServerName = entry.name;
+    try { if (!gameProcess.isRunning()) setPresenceIdle(); } catch { }
+    return { ok: true, server: entry };
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e) };
+  }
+});
+
 ipcMain.handle('settings:get', async () => {
   try {
+    pullGameOptions();
     const base = readSettings();
     return { ok: true, settings: base };
   }
@@ -409,6 +608,12 @@ ipcMain.handle('settings:set', async (_evt, patch) => {
   return writeSettings(patch);
 });
 
+// Vérifie les arguments Java saisis dans l'onglet Jouer (mêmes règles qu'au lancement)
+ipcMain.handle('jvm:validate', async (_evt, payload) => {
+  const res = validateCustomArgs(payload && payload.args);
+  return { ok: res.ok, args: res.args, errors: res.errors };
+});
+
 // Endpoint de maintenance désactivé
 
 // Status handler used by renderer to know readiness / rpc state
@@ -421,6 +626,15 @@ ipcMain.handle('launcher:status', async () => {
   }
 });
 
+// Statistiques des miroirs de téléchargement pour la session (support)
+ipcMain.handle('mirrors:stats', async () => {
+  try {
+    return { ok: true, mirrors: getMirrorStats() };
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e) };
+  }
+});
+
 // System info: total RAM in MB
 ipcMain.handle('sys:ram:totalMB', async () => {
   try {
@@ -431,6 +645,17 @@ ipcMain.handle('sys:ram:totalMB', async () => {
   }
 });
 
+// La nouvelle version signale qu'elle a démarré correctement
+ipcMain.handle('updater:confirm', async () => {
+  try {
+    const journal = updateGuard.confirmUpdate();
+    disarmRollback();
+    return { ok: true, confirmed: !!journal, tag: journal?.tag || null };
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e) };
+  }
+});
+
 // App relaunch handler for updater
 ipcMain.handle('app:relaunch', async () => {
   try {
@@ -443,324 +668,750 @@ ipcMain.handle('app:relaunch', async () => {
 });
 
 // IPC handlers
+// Linux sans trousseau: identifiants chiffrés avec une clé locale. Journalisé à chaque démarrage, boîte de dialogue une seule fois.
+function warnWeakCredentialStorage() {
+  const { warning } = credentialStore.storageInfo();
+  if (!warning) return;
+  progressBus.log(warning, 'warn');
+  if (readSettings().credentialStorageWarned) return;
+  writeSettings({ credentialStorageWarned: true });
+  const opts = { type: 'warning', title: 'Stockage des identifiants', message: 'Trousseau système indisponible', detail: warning, buttons: ['OK'] };
+  const parent = mainWindow && !mainWindow.isDestroyed() ? mainWindow : null;
+  (parent ? dialog.showMessageBox(parent, opts) : dialog.showMessageBox(opts)).catch(() => { });
+}
+
+// Vérifie la session Azuriom; une session effacée (expirée, révoquée, compte banni) est signalée au renderer
+async function checkSession() {
+  const res = await verifyEminiumSession().catch(e => ({ status: 'offline', usable: false, message: e?.message || String(e) }));
+  if (res.status === 'invalid' || res.status === 'banned') {
+    progressBus.log(res.message, 'warn');
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      try { mainWindow.webContents.send('auth:session', { status: res.status, message: res.message, reason: res.reason || null }); } catch { }
+    }
+  } else if (res.status === 'offline') {
+    progressBus.log(res.message, 'warn');
+  }
+  return res;
+}
+
 ipcMain.handle('auth:profile:get', async () => {
-  try { return { ok: true, profile: readUserProfile() }; } catch (e) { return { ok: false, error: e?.message || String(e) }; }
+  try {
+    // Le profil n'est rendu qu'une fois la session vérifiée au démarrage
+    const session = startupSessionCheck ? await startupSessionCheck : null;
+    return { ok: true, profile: readUserProfile(), session: session ? { status: session.status, message: session.message || null } : null };
+  } catch (e) { return { ok: false, error: e?.message || String(e) }; }
 });
 ipcMain.handle('auth:logout', async () => {
-  return logoutEminium();
+  return await logoutEminium();
+});
+
+// Réglages mémorisés par compte: serveur choisi, mémoire, options vidéo, fermeture au lancement
+const ACCOUNT_SETTINGS_KEYS = ['selectedServer', 'memMB', 'renderDist', 'fpsCap', 'fpsUnlimited', 'vsync', 'closeOnPlay'];
+
+// Garde les réglages du compte quitté et restaure ceux du compte choisi (s'il en a déjà)
+function swapAccountSettings(fromKey, toKey) {
+  if (fromKey === toKey) return;
+  try {
+    const current = readSettings();
+    if (fromKey) {
+      const saved = {};
+      for (const k of ACCOUNT_SETTINGS_KEYS) if (current[k] !== undefined) saved[k] = current[k];
+      accountStore.setSettings(fromKey, saved);
+    }
+    const restore = toKey ? accountStore.getSettings(toKey) : null;
+    if (restore) writeSettings(restore);
+  } catch (e) {
+    progressBus.log(`Réglages du compte non restaurés: ${e?.message || e}`, 'warn');
+  }
+}
+
+ipcMain.handle('accounts:list', async () => {
+  try { return { ok: true, accounts: accountStore.list() }; }
+  catch (e) { return { ok: false, error: e?.message || String(e) }; }
+});
+
+// key: compte enregistré à activer, null pour se déconnecter sans le retirer (ajout d'un autre compte)
+ipcMain.handle('accounts:switch', async (_evt, key) => {
+  try {
+    if (gameProcess.isRunning()) return { ok: false, error: 'Impossible de changer de compte pendant que le jeu est lancé' };
+    const previous = accountStore.activeKey();
+    if (!accountStore.setActive(key || null)) return { ok: false, error: 'Compte introuvable' };
+    swapAccountSettings(previous, key || null);
+    const session = key ? await checkSession() : null;
+    return {
+      ok: true,
+      profile: readUserProfile(),
+      session: session ? { status: session.status, message: session.message || null } : null
+    };
+  } catch (e) { return { ok: false, error: e?.message || String(e) }; }
+});
+
+// Retire un compte enregistré et révoque sa session
+ipcMain.handle('accounts:remove', async (_evt, key) => {
+  if (!key) return { ok: false, error: 'Compte manquant' };
+  return await logoutEminium(key);
 });
 ipcMain.handle('launcher:ensure', async () => {
+  const task = progressBus.startTask('ensure', {
+    title: 'Préparation du launcher',
+    steps: [{ id: 'ensure', label: 'Préparation en cours...' }]
+  });
   try {
     try { setPresencePreparing(); } catch { }
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('ensure:progress', { phase: 'start', message: 'Préparation en cours...' });
-    }
+    task.step('ensure');
     const res = await ensureAll();
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('ensure:progress', { phase: 'done', message: 'Préparation terminée.' });
-    }
+    task.done('Préparation terminée.');
     try { setPresenceIdle(); } catch { }
     return res;
   } catch (e) {
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('ensure:progress', { phase: 'error', message: e?.message || String(e) });
-    }
+    task.fail(e);
     throw e;
   }
 });
 
-ipcMain.handle('updater:check', async (_evt, payload) => {
+// --- Application des mises à jour ---
+const UPDATE_COPY_LIST = ['assets', 'src', 'package.json', 'package-lock.json', 'node_modules'];
+
+const UPDATE_STEPS = [
+  { id: 'download', label: 'Téléchargement de la mise à jour', weight: 6 },
+  { id: 'verify', label: 'Vérification de la signature', weight: 2 },
+  { id: 'apply', label: 'Application de la mise à jour', weight: 2 }
+];
+// Téléchargement et application arrivent par deux appels IPC: une seule tâche par version cible
+let updateTask = null;
+function getUpdateTask(tag) {
+  if (!updateTask || updateTask.task.ended || updateTask.tag !== tag) {
+    updateTask = { tag, task: progressBus.startTask('update', { title: `Mise à jour du launcher (${tag})`, steps: UPDATE_STEPS }) };
+  }
+  return updateTask.task;
+}
+
+// Releases retenues par resolveUpdate (tag → { version, reason }): seule source de la version attendue,
+// jamais le renderer ni l'archive elle-même
+const resolvedReleases = new Map();
+
+// Le manifest signé doit décrire la release choisie, et une version plus récente que celle installée
+// (sauf version épinglée par le joueur): une ancienne archive valide ne peut pas imposer un retour en arrière
+function checkManifestVersion(manifest, tag) {
+  const expected = resolvedReleases.get(tag);
+  if (!expected) throw new Error(`Release ${tag} non vérifiée: relancez la recherche de mise à jour`);
+  const version = String(manifest?.version || '').trim().replace(/^v/, '');
+  if (version !== expected.version) {
+    throw new Error(`Manifest signé pour la version ${version || 'inconnue'}, attendu ${expected.version} (${tag}): mise à jour refusée`);
+  }
+  // Épinglage explicite: toute version; forçage (réparation): la version installée au minimum; sinon plus récente
+  if (expected.reason === 'pin') return;
+  const cmp = compareVersions(version, APP_VERSION);
+  if (cmp < 0 || (cmp === 0 && expected.reason !== 'force')) {
+    throw new Error(`Version ${version} non plus récente que la version installée (${APP_VERSION}): mise à jour refusée`);
+  }
+}
+
+// Extrait launcher.zip (ou reprend l'arbre d'une mise à jour différentielle), vérifie le manifest signé
+// et les empreintes, puis remplace les fichiers vérifiés dans appDir (voir updateGuard).
+// Rien n'est touché si la vérification échoue; une annulation reste possible jusqu'à l'échange.
+async function applyUpdateArchive(updatesBase, tag, task) {
+  if (updateGuard.isPending()) throw new Error('Une mise à jour attend déjà confirmation: redémarrez le launcher');
+  const { signal } = task;
+  const staging = path.join(updatesBase, 'staging');
+  let items;
+  let manifest;
   try {
-    const force = !!(payload && payload.force);
-    const commitApi = `https://api.github.com/repos/${REPO_OWNER}/${REPO_NAME}/commits/${REPO_BRANCH}`;
-    const headers = getGithubHeaders();
-    const res = await axios.get(commitApi, { timeout: 15000, headers });
-    const sha = String(res?.data?.sha || '').trim();
-    if (!sha) return { ok: false, error: 'SHA introuvable' };
-    const storeDir = path.join(app.getPath('userData'), 'updates');
-    try { fs.mkdirSync(storeDir, { recursive: true }); } catch { }
-    const lastFile = path.join(storeDir, 'last_sha.txt');
-    let lastSha = '';
-    try { lastSha = String(fs.readFileSync(lastFile, 'utf8')).trim(); } catch { }
-    // Fetch remote package.json to compare version
-    let remoteVersion = '';
-    try {
-      const pkgApi = `https://api.github.com/repos/${REPO_OWNER}/${REPO_NAME}/contents/package.json?ref=${REPO_BRANCH}`;
-      const pkgRes = await axios.get(pkgApi, { timeout: 10000, headers });
-      const content = pkgRes?.data?.content;
-      if (content) {
-        const json = JSON.parse(Buffer.from(String(content), 'base64').toString('utf8'));
-        if (json && typeof json.version === 'string') remoteVersion = json.version.trim();
-      }
-    } catch (e) {
-      // Non bloquant: si on ne peut pas lire le package.json distant, on continue avec le SHA
-      if (isGithubRateLimited(e)) {
-        return { ok: true, updateAvailable: false, requireReinstall: false, currentVersion: APP_VERSION, rateLimited: true };
-      }
+    throwIfCancelled(signal);
+    let root = path.join(updatesBase, 'tree');
+    if (!fs.existsSync(path.join(updatesBase, 'delta.json'))) {
+      const zip = new AdmZip(path.join(updatesBase, 'launcher.zip'));
+      try { fs.rmSync(staging, { recursive: true, force: true }); } catch { }
+      fs.mkdirSync(staging, { recursive: true });
+      zip.extractAllTo(staging, true);
+
+      // Find repo root folder inside zip (e.g. EminiumLauncher-main)
+      const entryNames = fs.readdirSync(staging, { withFileTypes: true });
+      const rootName = entryNames.length === 1 && entryNames[0].isDirectory() ? entryNames[0].name : null;
+      root = rootName ? path.join(staging, rootName) : staging;
     }
 
-    const requireReinstall = !!(remoteVersion && remoteVersion !== APP_VERSION);
-    const updateAvailable = force || requireReinstall || (sha && sha !== lastSha);
-    const assetUrl = `https://codeload.github.com/${REPO_OWNER}/${REPO_NAME}/zip/refs/heads/${REPO_BRANCH}`;
-    return { ok: true, updateAvailable, requireReinstall, remoteVersion, currentVersion: APP_VERSION, latest: { tag: sha, assetUrl, name: `${REPO_NAME}-${REPO_BRANCH}.zip` } };
+    task.step('verify');
+    const verified = await verifyUpdateTree(root, UPDATE_COPY_LIST, (currentFile, totalFiles) => {
+      task.progress(currentFile, totalFiles, { unit: 'files' });
+    });
+    manifest = verified.manifest;
+    checkManifestVersion(manifest, tag);
+    throwIfCancelled(signal);
+
+    // Copie dans un dossier préparé, puis échange d'un bloc; la version actuelle est gardée jusqu'à confirmation
+    task.step('apply');
+    items = updateGuard.stageFiles(root, verified.files, (currentFile, totalFiles) => {
+      task.progress(currentFile, totalFiles, { unit: 'files' });
+    });
+    throwIfCancelled(signal);
   } catch (e) {
-    return { ok: false, error: e?.message || String(e) };
+    // Annulée: dossiers temporaires supprimés, les fichiers téléchargés restent pour une prochaine tentative
+    if (isCancelled(e)) {
+      try { fs.rmSync(staging, { recursive: true, force: true }); } catch { }
+      updateGuard.discardStaged();
+    }
+    throw e;
   }
-});
+  updateGuard.swapIn(items, { tag, version: manifest.version });
+}
 
-ipcMain.handle('updater:download', async (_evt, payload) => {
-  const { assetUrl, tag } = payload || {};
-  if (!assetUrl || !tag) return { ok: false, error: 'assetUrl/tag manquant' };
+// Releases publiées (hors brouillons) → release cible selon canal, épinglage, versions ignorées et version minimale
+async function resolveUpdate({ force = false } = {}) {
+  const prefs = normalizeUpdatePrefs(readSettings());
+  const releasesApi = `https://api.github.com/repos/${REPO_OWNER}/${REPO_NAME}/releases?per_page=50`;
+  const res = await axios.get(releasesApi, { timeout: 15000, headers: getGithubHeaders() });
+  const releases = normalizeReleases(res.data);
+  const { release, mandatory, minimumVersion, reason } = selectRelease(releases, Object.assign({ current: APP_VERSION, force }, prefs));
+  // Une version annulée (échec au démarrage) n'est reproposée qu'en mode forcé
+  const rolledBack = updateGuard.readRolledBack();
+  const skipped = !!release && !force && !!rolledBack && rolledBack.tag === release.tag;
+  let latest = null;
+  if (release) {
+    resolvedReleases.set(release.tag, { version: release.version, reason });
+    // Fichiers de la version cible, pour la mise à jour différentielle
+    const filesBaseUrl = `https://raw.githubusercontent.com/${REPO_OWNER}/${REPO_NAME}/${encodeURIComponent(release.tag)}/`;
+    latest = {
+      tag: release.tag,
+      version: release.version,
+      assetUrl: release.assetUrl,
+      manifestUrl: release.manifestUrl || filesBaseUrl + MANIFEST_NAME,
+      signatureUrl: release.signatureUrl || filesBaseUrl + SIGNATURE_NAME,
+      filesBaseUrl,
+      name: `${REPO_NAME}-${release.version}.zip`,
+      prerelease: release.prerelease,
+      notes: release.notes
+    };
+  }
+  return {
+    ok: true,
+    updateAvailable: !!release && !skipped,
+    requireReinstall: mandatory,
+    minimumVersion,
+    reason,
+    channel: prefs.channel,
+    pin: prefs.pin,
+    remoteVersion: release?.version || '',
+    currentVersion: APP_VERSION,
+    rolledBack,
+    latest
+  };
+}
+
+// Client des téléchargements de mise à jour (reprise et retries: resumableDownload.js)
+const updateHttp = axios.create({ timeout: 60000, maxContentLength: Infinity, maxBodyLength: Infinity });
+
+function getUpdateDownloadHeaders() {
+  const headers = { 'User-Agent': `EminiumLauncher/${APP_VERSION}`, 'Accept': 'application/octet-stream' };
   try {
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('update:progress', { phase: 'start', currentFile: 0, totalFiles: 1, label: 'Préparation du téléchargement' });
-    }
-    const updatesBase = path.join(app.getPath('userData'), 'updates', tag.replace(/[^a-zA-Z0-9._-]/g, '_'));
-    fs.mkdirSync(updatesBase, { recursive: true });
-    const destZip = path.join(updatesBase, 'launcher.zip');
+    if (process.env.GITHUB_TOKEN) headers.Authorization = `token ${process.env.GITHUB_TOKEN}`;
+  } catch { }
+  return headers;
+}
+
+const formatMB = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} Mo`;
+
+// Mise à jour différentielle: le manifest signé de la version cible est comparé aux fichiers installés.
+// Les fichiers identiques sont repris localement, seuls les autres sont téléchargés dans updatesBase/tree.
+// L'arbre est ensuite échangé d'un bloc: les fichiers supprimés en amont disparaissent avec l'ancien dossier.
+async function downloadUpdateDelta(latest, updatesBase, task) {
+  const headers = getUpdateDownloadHeaders();
+  const { signal } = task;
+  const [mRes, sRes] = await Promise.all([
+    axios.get(latest.manifestUrl, { responseType: 'arraybuffer', timeout: 15000, headers, signal }),
+    axios.get(latest.signatureUrl, { responseType: 'text', timeout: 15000, headers, signal })
+  ]);
+  const manifestBuf = Buffer.from(mRes.data);
+  const signature = String(sRes.data);
+  // Signature vérifiée avant de se fier aux empreintes pour choisir les fichiers à reprendre
+  const { manifest, files } = parseSignedManifest(manifestBuf, signature, UPDATE_COPY_LIST);
+  // Même contrôle qu'à l'application, avant de télécharger quoi que ce soit
+  checkManifestVersion(manifest, latest.tag);
 
-    // Stream download with progress
-    const dlHeaders = { 'User-Agent': `EminiumLauncher/${APP_VERSION}` };
+  const tree = path.join(updatesBase, 'tree');
+  try { fs.rmSync(tree, { recursive: true, force: true }); } catch { }
+  fs.mkdirSync(tree, { recursive: true });
+  fs.writeFileSync(path.join(tree, MANIFEST_NAME), manifestBuf);
+  fs.writeFileSync(path.join(tree, SIGNATURE_NAME), signature);
+
+  const appDir = path.join(__dirname, '..');
+  const changed = [];
+  for (const f of files) {
+    throwIfCancelled(signal);
+    const rel = f.path.split('/');
+    const local = path.join(appDir, ...rel);
+    let same = false;
     try {
-      if (process.env.GITHUB_TOKEN) dlHeaders.Authorization = `token ${process.env.GITHUB_TOKEN}`;
+      const st = fs.statSync(local);
+      same = st.isFile() && st.size === f.size && (await sha256File(local)) === f.sha256;
     } catch { }
-    const resp = await axios.get(assetUrl, { responseType: 'stream', timeout: 60000, maxContentLength: Infinity, maxBodyLength: Infinity, headers: dlHeaders });
-    const total = Number(resp.headers['content-length'] || 0);
-    let downloaded = 0;
-    await new Promise((resolve, reject) => {
-      const ws = fs.createWriteStream(destZip);
-      resp.data.on('data', (chunk) => {
-        downloaded += chunk.length;
-        if (mainWindow && !mainWindow.isDestroyed()) {
-          const percent = total ? Math.round((downloaded / total) * 100) : Math.min(99, Math.round(downloaded / (1024 * 1024)));
-          mainWindow.webContents.send('update:progress', { phase: 'downloading', currentFile: 1, totalFiles: 1, percent });
-        }
-      });
-      resp.data.on('error', reject);
-      ws.on('error', reject);
-      ws.on('finish', resolve);
-      resp.data.pipe(ws);
+    if (same) {
+      const dst = path.join(tree, ...rel);
+      fs.mkdirSync(path.dirname(dst), { recursive: true });
+      fs.copyFileSync(local, dst);
+    } else {
+      changed.push(f);
+    }
+  }
+
+  const totalFiles = changed.length;
+  const totalBytes = changed.reduce((n, f) => n + f.size, 0);
+  let bytes = 0;
+  task.step('download', `${totalFiles} fichier(s) modifié(s) sur ${files.length} (${formatMB(totalBytes)})`);
+  for (let i = 0; i < changed.length; i++) {
+    const f = changed[i];
+    const rel = f.path.split('/');
+    const dst = path.join(tree, ...rel);
+    fs.mkdirSync(path.dirname(dst), { recursive: true });
+    const url = latest.filesBaseUrl + rel.map(encodeURIComponent).join('/');
+    const before = bytes;
+    await downloadResumable(updateHttp, url, dst, {
+      headers,
+      signal,
+      onProgress: (received) => {
+        bytes = before + received;
+        task.progress(bytes, totalBytes, { unit: 'bytes', currentFile: i + 1, totalFiles, file: f.path });
+      }
     });
+    bytes = before + f.size;
+    if ((await sha256File(dst)) !== f.sha256) throw new Error(`Empreinte invalide après téléchargement (${f.path})`);
+  }
+  fs.writeFileSync(path.join(updatesBase, 'delta.json'), JSON.stringify({ tag: latest.tag, files: files.length, downloaded: totalFiles, bytes: totalBytes }, null, 2));
+  task.log(`Téléchargement terminé (${totalFiles} fichier(s), ${formatMB(totalBytes)}).`);
+}
 
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('update:progress', { phase: 'downloaded', message: 'Téléchargement terminé.' });
+// Différentielle si un manifest est publié pour la version cible, sinon (ou en cas d'échec) archive complète
+async function downloadUpdate(latest, task) {
+  const { tag } = latest;
+  const updatesBase = path.join(app.getPath('userData'), 'updates', tag.replace(/[^a-zA-Z0-9._-]/g, '_'));
+  fs.mkdirSync(updatesBase, { recursive: true });
+  try { fs.rmSync(path.join(updatesBase, 'delta.json'), { force: true }); } catch { }
+  if (latest.manifestUrl && latest.signatureUrl && latest.filesBaseUrl) {
+    try {
+      await downloadUpdateDelta(latest, updatesBase, task);
+      return { updatesBase, mode: 'delta' };
+    } catch (e) {
+      if (isCancelled(e)) throw e;
+      task.log(`Mise à jour différentielle impossible (${e?.message || e}), téléchargement complet`, 'warn');
+    }
+  }
+  const { destZip } = await downloadUpdateArchive(latest.assetUrl, tag, task);
+  return { updatesBase, destZip, mode: 'full' };
+}
+
+// Télécharge l'archive de mise à jour dans userData/updates/<tag>/launcher.zip
+async function downloadUpdateArchive(assetUrl, tag, task) {
+  task.step('download', 'Téléchargement de l\'archive de mise à jour');
+  const updatesBase = path.join(app.getPath('userData'), 'updates', tag.replace(/[^a-zA-Z0-9._-]/g, '_'));
+  fs.mkdirSync(updatesBase, { recursive: true });
+  const destZip = path.join(updatesBase, 'launcher.zip');
+
+  // Stream download with progress; une coupure reprend là où elle s'est arrêtée (launcher.zip.tmp-download)
+  await downloadResumable(updateHttp, assetUrl, destZip, {
+    headers: getUpdateDownloadHeaders(),
+    signal: task.signal,
+    onProgress: (downloaded, total) => {
+      task.progress(downloaded, total, { unit: 'bytes', currentFile: 1, totalFiles: 1 });
     }
-    return { ok: true, destZip, updatesBase };
+  });
+  task.log('Téléchargement terminé.');
+  return { destZip, updatesBase };
+}
+
+ipcMain.handle('updater:check', async (_evt, payload) => {
+  try {
+    return await resolveUpdate({ force: !!(payload && payload.force) });
   } catch (e) {
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('update:progress', { phase: 'error', message: e?.message || String(e) });
+    if (isGithubRateLimited(e)) {
+      return { ok: true, updateAvailable: false, requireReinstall: false, currentVersion: APP_VERSION, rateLimited: true };
     }
     return { ok: false, error: e?.message || String(e) };
   }
 });
 
+ipcMain.handle('updater:download', async (_evt, payload) => {
+  const { assetUrl, tag } = payload || {};
+  if (!assetUrl || !tag) return { ok: false, error: 'assetUrl/tag manquant' };
+  const task = getUpdateTask(tag);
+  try {
+    const { destZip, updatesBase, mode } = await downloadUpdate(payload, task);
+    return { ok: true, destZip, updatesBase, mode };
+  } catch (e) {
+    task.fail(e);
+    return { ok: false, cancelled: isCancelled(e), error: e?.message || String(e) };
+  }
+});
+
 ipcMain.handle('updater:apply', async (_evt, payload) => {
   const { tag } = payload || {};
   if (!tag) return { ok: false, error: 'tag manquant' };
+  const task = getUpdateTask(tag);
   try {
     const updatesBase = path.join(app.getPath('userData'), 'updates', tag.replace(/[^a-zA-Z0-9._-]/g, '_'));
-    const destZip = path.join(updatesBase, 'launcher.zip');
-    const zip = new AdmZip(destZip);
-    // Extract to staging
-    const staging = path.join(updatesBase, 'staging');
-    try { fs.rmSync(staging, { recursive: true, force: true }); } catch { }
-    fs.mkdirSync(staging, { recursive: true });
-    zip.extractAllTo(staging, true);
-
-    // Find repo root folder inside zip (e.g. EminiumLauncher-main)
-    const entryNames = fs.readdirSync(staging, { withFileTypes: true });
-    const rootName = entryNames.find(e => e.isDirectory())?.name;
-    const root = rootName ? path.join(staging, rootName) : staging;
-
-    // Copy selected content to app dir (project root)
-    const appDir = path.join(__dirname, '..');
-    const copyList = ['assets', 'src', 'package.json', 'package-lock.json', 'node_modules'];
-    const ensureDir = (p) => { try { fs.mkdirSync(p, { recursive: true }); } catch { } };
-    const walkAndCopy = (src, dst) => {
-      const st = fs.statSync(src);
-      if (st.isDirectory()) {
-        ensureDir(dst);
-        for (const name of fs.readdirSync(src)) {
-          walkAndCopy(path.join(src, name), path.join(dst, name));
-        }
-      } else if (st.isFile()) {
-        ensureDir(path.dirname(dst));
-        fs.copyFileSync(src, dst);
-      }
-    };
-
-    // Count files for progress
-    const listFiles = (dir) => {
-      let n = 0; const st = fs.statSync(dir);
-      if (st.isFile()) return 1;
-      for (const name of fs.readdirSync(dir)) {
-        const p = path.join(dir, name);
-        const s = fs.statSync(p);
-        n += s.isDirectory() ? listFiles(p) : 1;
-      }
-      return n;
-    };
-
-    let totalFiles = 0;
-    for (const item of copyList) {
-      const p = path.join(root, item);
-      if (fs.existsSync(p)) totalFiles += listFiles(p);
-    }
-    let currentFile = 0;
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('update:progress', { phase: 'applying', currentFile, totalFiles, label: 'Application de la mise à jour' });
-    }
-    for (const item of copyList) {
-      const srcPath = path.join(root, item);
-      if (!fs.existsSync(srcPath)) continue;
-      const applyOne = (src, dst) => {
-        const st = fs.statSync(src);
-        if (st.isDirectory()) {
-          ensureDir(dst);
-          for (const name of fs.readdirSync(src)) applyOne(path.join(src, name), path.join(dst, name));
-        } else if (st.isFile()) {
-          ensureDir(path.dirname(dst));
-          fs.copyFileSync(src, dst);
-          currentFile++;
-          if (mainWindow && !mainWindow.isDestroyed()) {
-            mainWindow.webContents.send('update:progress', { phase: 'applying', currentFile, totalFiles });
-          }
-        }
-      };
-      applyOne(srcPath, path.join(appDir, item));
-    }
-    const storeDir = path.join(app.getPath('userData'), 'updates');
-    const lastFile = path.join(storeDir, 'last_sha.txt');
-    fs.writeFileSync(lastFile, tag);
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('update:progress', { phase: 'done', message: 'Mise à jour appliquée.' });
-    }
+    await applyUpdateArchive(updatesBase, tag, task);
+    task.done();
     return { ok: true };
   } catch (e) {
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('update:progress', { phase: 'error', message: e?.message || String(e) });
-    }
-    return { ok: false, error: e?.message || String(e) };
+    task.fail(e);
+    return { ok: false, cancelled: isCancelled(e), error: e?.message || String(e) };
   }
 });
 
+// Étapes pondérées d'un lancement (ids repris par setup.js via progressBus.step)
+const PLAY_STEPS = [
+  { id: 'server', label: 'Vérification du serveur', weight: 1 },
+  { id: 'modpack', label: 'Synchronisation du modpack', weight: 3 },
+  { id: 'download', label: 'Téléchargement des fichiers du jeu', weight: 10 },
+  { id: 'java', label: 'Vérification de Java', weight: 1 },
+  { id: 'auth', label: 'Authentification du jeu', weight: 1 },
+  { id: 'launch', label: 'Démarrage de Minecraft', weight: 1 }
+];
+const PREPARE_STEPS = [
+  { id: 'ensure', label: 'Préparation des dossiers', weight: 1 },
+  { id: 'download', label: 'Téléchargement des fichiers du jeu', weight: 10 }
+];
+
 ipcMain.handle('launcher:play', async (_evt, userOpts) => {
+  // Vérifié et réservé avant le premier await: deux clics rapprochés ne lancent pas deux fois le jeu
+  if (playStarting || (playTask && !playTask.ended)) return { ok: false, busy: true, error: 'Un lancement est déjà en cours' };
+  playStarting = true;
+  let task;
+  try {
+    // Un client tourne déjà sur ce dossier de jeu: le renderer doit confirmer une seconde instance
+    const running = await gameProcess.detect();
+    if (running.running && !(userOpts && userOpts.allowSecondInstance)) {
+      return { ok: false, running: true, state: running, error: 'Minecraft est déjà lancé' };
+    }
+    // Nouveau fichier de journal pour ce lancement (préparation et sortie du jeu)
+    sessionLog.startSession('play');
+    task = progressBus.startTask('play', { title: 'Lancement', steps: PLAY_STEPS });
+    playTask = task;
+  } finally {
+    playStarting = false;
+  }
   try {
     // Maintenance désactivée: ne plus bloquer le lancement
     const maintenance = false;
 
+    // Session révoquée, expirée ou compte banni depuis la connexion: lancement refusé
+    const session = await checkSession();
+    if (!session.usable) {
+      const msg = session.message || 'Session invalide: reconnectez-vous.';
+      task.fail(msg);
+      return { ok: false, auth: session.status, error: msg };
+    }
+
+    // Arguments personnalisés refusés: inutile de préparer le jeu
+    const jvm = readJvmSettings();
+    const jvmCheck = validateCustomArgs(jvm.customArgs);
+    if (!jvmCheck.ok) {
+      const msg = `Arguments Java personnalisés invalides: ${jvmCheck.errors.join('; ')}`;
+      task.fail(msg);
+      return { ok: false, error: msg };
+    }
+
     // (VPN/proxy reminder removed)
 
+    // Serveur ciblé: entrée demandée par le renderer, sinon celle mémorisée dans les paramètres
+    const servers = await loadServerList();
+    const server = (userOpts && userOpts.serverId && servers.find(s => s.id === userOpts.serverId)) || await getSelectedServer();
+    if (!server) {
+      task.fail('Aucun serveur configuré');
+      return { ok: false, error: 'Aucun serveur configuré' };
+    }
+    currentServerName = server.name;
+    const host = server.host;
+    const port = server.port;
+
     // Enforce server availability before launching
-    const host = (userOpts && userOpts.serverHost) ? String(userOpts.serverHost) : '82.64.85.47';
-    const port = (userOpts && userOpts.serverPort) ? Number(userOpts.serverPort) : 25565;
-    const up = await tcpPing(host, port, 2500);
-    if (!up) {
-      const msg = `Serveur ${host}:${port} hors ligne. Lancement bloqué.`;
-      if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('play:progress', { type: 'error', line: msg });
-      }
-      return { ok: false, error: msg };
+    task.step('server', `Vérification du serveur ${server.name} (${host}:${port})`);
+    const status = await pingServer(host, port, { timeout: 2500, protocol: MC_PROTOCOL });
+    let blocked = null;
+    if (!status.up) {
+      blocked = `Serveur ${host}:${port} hors ligne. Lancement bloqué.`;
+    } else if (!isProtocolCompatible(status, MC_PROTOCOL)) {
+      blocked = `Version du serveur incompatible (${status.version?.name || 'inconnue'}, protocole ${status.version?.protocol ?? '?'} ≠ ${MC_PROTOCOL} pour ${MC_VERSION}). Lancement bloqué.`;
+    }
+    if (blocked) {
+      task.fail(blocked);
+      return { ok: false, error: blocked };
     }
 
     try { setPresencePreparing(); } catch { }
-    const launcher = await launchMinecraft(userOpts);
-    if (launcher) {
-      launcher.on('data', (buf) => {
-        const line = buf?.toString ? buf.toString() : String(buf);
-        try { if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('play:progress', { type: 'log', line }); } catch { }
-      });
-      launcher.on('debug', (msg) => {
-        try { if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('play:progress', { type: 'debug', line: String(msg) }); } catch { }
-      });
-      launcher.on('error', (err) => {
-        const msg = err?.message || String(err);
-        try { if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('play:progress', { type: 'error', line: msg }); } catch { }
-        try { setPresenceIdle(); } catch { }
-      });
-      // Capture process exit to help diagnose silent failures
-      launcher.on('close', (code) => {
-        const msg = `Processus Minecraft terminé avec le code ${code}`;
-        try { if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('play:progress', { type: code === 0 ? 'log' : 'error', line: msg }); } catch { }
-        try { setPresenceIdle(); } catch { }
-        isGameRunning = false;
-        // If we closed the window for gameplay, exit the app when the game ends
-        if (keepAliveBackground) {
-          keepAliveBackground = false;
-          // If no window is open, quit the app to fully stop background
-          if (BrowserWindow.getAllWindows().length === 0 && process.platform !== 'darwin') {
-            try { app.quit(); } catch { }
-          }
-        }
-      });
+    try {
+      pushGameOptions();
+    } catch (e) {
+      task.log(`options.txt non mis à jour: ${e?.message || e}`, 'warn');
     }
+    const { launcher, child } = await launchMinecraft(Object.assign({}, userOpts, readDownloadSettings(), {
+      serverHost: host,
+      serverPort: port,
+      modpack: server.modpack,
+      jvm,
+      javaPin: readSettings().javaPin || null,
+      offline: readSettings().offlineMode === true,
+      signal: task.signal
+    }));
+    // Ligne de commande finale de MCLC (jeton masqué)
+    launcher.once('arguments', (args) => {
+      progressBus.log(`Ligne de commande: ${formatCommandLine(launcher.options?.javaPath || 'java', args || [])}`, 'info');
+    });
+    // Sortie du jeu: rattachée au lancement tant qu'il est en cours, puis événements isolés
+    launcher.on('data', (buf) => {
+      const text = buf?.toString ? buf.toString() : String(buf);
+      for (const line of text.split(/\r?\n/)) {
+        if (line.trim()) progressBus.log(line, sessionLog.gameLineLevel(line), { source: 'game' });
+      }
+    });
+    // Jeton d'accès masqué: MCLC recopie la ligne de commande complète dans ses traces
+    launcher.on('debug', (msg) => {
+      progressBus.log(maskCommandLine(msg), 'debug', { source: 'game' });
+    });
+    launcher.on('error', (err) => {
+      progressBus.log(err?.message || String(err), 'error', { source: 'game' });
+    });
+    // Capture process exit to help diagnose silent failures
+    launcher.on('close', (code) => {
+      progressBus.log(`Processus Minecraft terminé avec le code ${code}`, code === 0 ? 'info' : 'error', { source: 'game', code });
+    });
+    // MCLC résout null quand le client n'a pas pu être démarré (cause dans les traces 'debug')
+    const proc = await child;
+    if (!proc || !proc.pid) throw new Error('Le client Minecraft n\'a pas pu démarrer (voir le journal)');
+    gameProcess.track(proc, { server: { id: server.id, name: server.name }, memoryMB: Number(userOpts?.memoryMB) || null });
     try { setPresencePlaying(); } catch { }
     // Option: close launcher window when the game starts, keeping RPC alive
     try {
       const settings = readSettings();
-      const closeOnPlay = !!settings.closeOnPlay;
-      if (closeOnPlay) {
-        isGameRunning = true;
+      if (settings.closeOnPlay) {
         keepAliveBackground = true;
         if (mainWindow && !mainWindow.isDestroyed()) {
           // Close the window; window-all-closed will not quit while keepAliveBackground is true
           try { mainWindow.close(); } catch { }
         }
-      } else {
-        isGameRunning = true;
       }
-    } catch { isGameRunning = true; }
+    } catch { }
+    task.done();
     return { ok: true };
   } catch (e) {
-    dialog.showErrorBox('Lancement Minecraft', e?.message || String(e));
-    try { setPresenceIdle(); } catch { }
+    task.fail(e);
+    const cancelled = isCancelled(e);
+    if (!cancelled) dialog.showErrorBox('Lancement Minecraft', e?.message || String(e));
+    try { if (!gameProcess.isRunning()) setPresenceIdle(); } catch { }
+    return { ok: false, cancelled, error: e?.message || String(e) };
+  }
+});
+
+// Sortie anormale d'un client lancé ici (pas un arrêt demandé): analyse des rapports et résumé au joueur
+gameProcess.onExit((exit) => {
+  if (exit.stopped || exit.adopted) return;
+  if (exit.code === 0 || (exit.code == null && !exit.signal)) return;
+  // La fenêtre fermée au lancement (closeOnPlay) ne doit pas quitter l'app avant le résumé
+  const quitAfter = keepAliveBackground;
+  keepAliveBackground = false;
+  reportGameCrash(exit).catch(() => { }).finally(() => {
+    if (quitAfter && BrowserWindow.getAllWindows().length === 0 && process.platform !== 'darwin') {
+      try { app.quit(); } catch { }
+    }
+  });
+});
+
+async function reportGameCrash(exit) {
+  const artifacts = collectCrashArtifacts(eminiumDir, Date.parse(exit.startedAt));
+  const analysis = analyzeCrash(artifacts, { code: exit.code, memoryMB: exit.memoryMB });
+  const summary = formatCrashSummary(analysis);
+  const how = exit.code != null ? `code ${exit.code}` : `signal ${exit.signal}`;
+  progressBus.log(`Minecraft s'est arrêté anormalement (${how})\n${summary}`, 'error', { source: 'launcher', crash: analysis });
+  const report = analysis.files.crashReport || analysis.files.hsErr;
+  const buttons = ['Fermer'];
+  if (report) buttons.push('Ouvrir le rapport de crash');
+  if (analysis.files.latestLog) buttons.push('Ouvrir latest.log');
+  const opts = {
+    type: 'error',
+    title: 'Minecraft s\'est arrêté',
+    message: `Minecraft s'est fermé de façon inattendue (${how}).`,
+    detail: summary,
+    buttons,
+    defaultId: 0,
+    cancelId: 0,
+    noLink: true
+  };
+  const parent = mainWindow && !mainWindow.isDestroyed() ? mainWindow : null;
+  const { response } = parent ? await dialog.showMessageBox(parent, opts) : await dialog.showMessageBox(opts);
+  const choice = buttons[response];
+  if (choice === 'Ouvrir le rapport de crash') await shell.openPath(report);
+  else if (choice === 'Ouvrir latest.log') await shell.openPath(analysis.files.latestLog);
+}
+
+// Démarrage/arrêt d'un client: présence Discord, fenêtre et état du bouton Jouer
+gameProcess.onChange((state) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    try { mainWindow.webContents.send('game:state', state); } catch { }
+  }
+  if (state.running) return;
+  try { setPresenceIdle(); } catch { }
+  // If we closed the window for gameplay, exit the app when the game ends
+  if (keepAliveBackground) {
+    keepAliveBackground = false;
+    // If no window is open, quit the app to fully stop background
+    if (BrowserWindow.getAllWindows().length === 0 && process.platform !== 'darwin') {
+      try { app.quit(); } catch { }
+    }
+  }
+});
+
+ipcMain.handle('launcher:gameState', async () => {
+  try {
+    return Object.assign({ ok: true }, await gameProcess.getState());
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e) };
+  }
+});
+
+// Arrête le client (pid) ou tous les clients suivis; arrêt forcé après un délai
+ipcMain.handle('launcher:stop', async (_evt, payload) => {
+  try {
+    const stopped = await gameProcess.stop(payload && payload.pid ? Number(payload.pid) : null);
+    return { ok: true, stopped };
+  } catch (e) {
     return { ok: false, error: e?.message || String(e) };
   }
 });
 
 // Préparer/installer ce qui manque
 ipcMain.handle('launcher:prepare', async () => {
+  const task = progressBus.startTask('prepare', { title: 'Installation / Mise à jour', steps: PREPARE_STEPS });
   try {
-    const logger = (msg) => {
-      if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('play:progress', { line: String(msg) });
-      }
-    };
-    await prepareGame(logger);
+    await prepareGame((msg) => task.log(msg), Object.assign(readDownloadSettings(), { signal: task.signal }));
+    task.done();
     return { ok: true };
   } catch (e) {
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('play:progress', { type: 'error', line: e?.message || String(e) });
-    }
+    task.fail(e);
+    return { ok: false, cancelled: isCancelled(e), error: e?.message || String(e) };
+  }
+});
+
+// Runtimes Java détectés (classés), runtime retenu et runtime épinglé (settings.javaPin)
+ipcMain.handle('java:list', async (_evt, payload) => {
+  try {
+    const pin = readSettings().javaPin || null;
+    const runtimes = await javaRuntime.discoverRuntimes({ refresh: !!(payload && payload.refresh) });
+    const { runtime, warnings } = await javaRuntime.selectRuntime({ pin });
+    return { ok: true, runtimes, selected: runtime ? runtime.path : null, pin, required: javaRuntime.REQUIRED_MAJOR, warnings };
+  } catch (e) {
     return { ok: false, error: e?.message || String(e) };
   }
 });
 
-// Simple TCP ping to check if the server port is open
-function tcpPing(host, port, timeout = 3000) {
-  return new Promise((resolve) => {
-    let done = false;
-    const socket = new net.Socket();
-    const finalize = (result) => {
-      if (done) return;
-      done = true;
-      try { socket.destroy(); } catch { }
-      resolve(result);
+const JAVA_STEPS = [
+  { id: 'download', label: 'Téléchargement de Java', weight: 8 },
+  { id: 'verify', label: 'Vérification de l\'empreinte', weight: 1 },
+  { id: 'extract', label: 'Extraction', weight: 2 }
+];
+
+// Télécharge une JRE compatible dans jreRoot (progression et annulation via le bus)
+ipcMain.handle('java:install', async () => {
+  const task = progressBus.startTask('java', { title: `Installation de Java ${javaRuntime.REQUIRED_MAJOR}`, steps: JAVA_STEPS });
+  try {
+    const runtime = await javaRuntime.installRuntime({
+      signal: task.signal,
+      onStep: (id, msg) => (task.stepId === id ? task.log(msg) : task.step(id, msg)),
+      onProgress: (received, total) => task.progress(received, total, { unit: 'bytes', currentFile: 1, totalFiles: 1 })
+    });
+    task.done(`Java ${runtime.version} installé (${runtime.path})`);
+    return { ok: true, runtime };
+  } catch (e) {
+    task.fail(e);
+    return { ok: false, cancelled: isCancelled(e), error: e?.message || String(e) };
+  }
+});
+
+// Journaux de session (onglet Logs)
+ipcMain.handle('logs:sessions', async () => {
+  try {
+    return { ok: true, sessions: sessionLog.listSessions(), current: sessionLog.currentSessionId() };
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e) };
+  }
+});
+ipcMain.handle('logs:read', async (_evt, payload) => {
+  try {
+    const { entries, truncated } = await sessionLog.readSession(payload && payload.id);
+    return { ok: true, entries, truncated };
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e) };
+  }
+});
+// Messages de l'interface (ancien log() du renderer), dans la même chronologie
+ipcMain.handle('logs:append', async (_evt, payload) => {
+  try {
+    sessionLog.append({ level: payload?.level, source: 'ui', message: String(payload?.message ?? '') });
+    return { ok: true };
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e) };
+  }
+});
+ipcMain.handle('logs:open', async (_evt, payload) => {
+  try {
+    const file = sessionLog.sessionPath(payload && payload.id);
+    if (!file) return { ok: false, error: 'Session de journal introuvable' };
+    const err = await shell.openPath(file);
+    return err ? { ok: false, error: err } : { ok: true };
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e) };
+  }
+});
+
+// Archive de diagnostic pour le support (secrets masqués), enregistrée où le joueur le choisit
+ipcMain.handle('diagnostics:export', async () => {
+  try {
+    const stamp = new Date().toISOString().replace(/[:T]/g, '-').replace(/\..*$/, '');
+    const opts = {
+      title: 'Exporter un diagnostic',
+      defaultPath: path.join(app.getPath('desktop'), `eminium-diagnostic-${stamp}.zip`),
+      filters: [{ name: 'Archive ZIP', extensions: ['zip'] }]
     };
-    socket.setTimeout(timeout);
-    socket.once('connect', () => finalize(true));
-    socket.once('timeout', () => finalize(false));
-    socket.once('error', () => finalize(false));
-    try { socket.connect(port, host); } catch { finalize(false); }
-  });
-}
+    const parent = mainWindow && !mainWindow.isDestroyed() ? mainWindow : null;
+    const { canceled, filePath } = parent ? await dialog.showSaveDialog(parent, opts) : await dialog.showSaveDialog(opts);
+    if (canceled || !filePath) return { ok: false, canceled: true };
+    const { runtime } = await javaRuntime.selectRuntime({ pin: readSettings().javaPin || null }).catch(() => ({ runtime: null }));
+    const buf = await buildDiagnosticZip({
+      eminiumDir,
+      userDataDir: app.getPath('userData'),
+      appVersion: APP_VERSION,
+      javaPath: runtime ? runtime.path : null,
+      javaRuntimes: await javaRuntime.discoverRuntimes().catch(() => []),
+      checkReady
+    });
+    await fs.promises.writeFile(filePath, buf);
+    try { shell.showItemInFolder(filePath); } catch { }
+    return { ok: true, path: filePath, size: buf.length };
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e) };
+  }
+});
+
+// Annule une opération en cours (taskId du bus de progression; absent: toutes)
+ipcMain.handle('launcher:cancel', async (_evt, payload) => {
+  try {
+    const cancelled = progressBus.cancel(payload && payload.taskId ? String(payload.taskId) : null);
+    return { ok: true, cancelled };
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e) };
+  }
+});
 
-// IPC: ping Minecraft server (port open check)
+// IPC: Server List Ping (MOTD, joueurs, version, favicon, latence)
 ipcMain.handle('launcher:ping', async (_evt, { host, port, timeout }) => {
   try {
     if (!host || !port) return { ok: true, up: false };
-    const up = await tcpPing(String(host), Number(port), typeof timeout === 'number' ? timeout : 3000);
-    return { ok: true, up };
+    const res = await pingServer(String(host), Number(port), {
+      timeout: typeof timeout === 'number' ? timeout : 3000,
+      protocol: MC_PROTOCOL
+    });
+    return Object.assign({ ok: true }, res, {
+      compatible: isProtocolCompatible(res, MC_PROTOCOL),
+      expected: { version: MC_VERSION, protocol: MC_PROTOCOL }
+    });
   } catch (e) {
     return { ok: true, up: false };
   }
@@ -0,0 +1,144 @@
+// Santé des miroirs de téléchargement (Mojang, BMCL, Forge...) pour la session en cours.
+// Par hôte: latence (temps jusqu'aux en-têtes), débit, échecs; un hôte qui échoue en série est écarté
+// un moment (circuit ouvert), puis retenté une fois (semi-ouvert) avant d'être réintégré ou écarté plus longtemps.
+
+// Échecs consécutifs avant ouverture du circuit
+const FAILURE_THRESHOLD = 3;
+const BASE_COOLDOWN_MS = 30 * 1000;
+const MAX_COOLDOWN_MS = 5 * 60 * 1000;
+// Poids des nouvelles mesures dans les moyennes glissantes
+const EWMA_ALPHA = 0.3;
+// Valeurs supposées pour un hôte jamais contacté
+const DEFAULT_LATENCY_MS = 400;
+const DEFAULT_THROUGHPUT = 1024 * 1024; // octets/s
+// Taille de référence d'un fichier pour comparer latence et débit
+const REFERENCE_SIZE = 64 * 1024;
+
+const hosts = new Map();
+
+function hostOf(url) {
+  try { return new URL(url).host; } catch { return String(url || ''); }
+}
+
+function entry(host) {
+  let h = hosts.get(host);
+  if (!h) {
+    h = {
+      host,
+      requests: 0,
+      successes: 0,
+      failures: 0,
+      rejected: 0,
+      consecutiveFailures: 0,
+      trips: 0,
+      openUntil: 0,
+      latencyMs: null,
+      throughput: null,
+      bytes: 0,
+      lastUrl: null,
+      lastError: null,
+      lastUsedAt: null
+    };
+    hosts.set(host, h);
+  }
+  return h;
+}
+
+const ewma = (prev, value) => (prev == null ? value : prev + EWMA_ALPHA * (value - prev));
+
+function recordSuccess(url, { latencyMs, bytes, transferMs }) {
+  const h = entry(hostOf(url));
+  h.requests++;
+  h.successes++;
+  h.consecutiveFailures = 0;
+  h.trips = 0;
+  h.openUntil = 0;
+  h.bytes += bytes || 0;
+  h.lastUrl = url;
+  h.lastUsedAt = Date.now();
+  if (Number.isFinite(latencyMs)) h.latencyMs = ewma(h.latencyMs, Math.max(0, latencyMs));
+  // Les petits fichiers mesurent surtout la latence: débit pris en compte au-delà de 16 Ko
+  if (bytes > 16 * 1024 && transferMs > 0) h.throughput = ewma(h.throughput, (bytes * 1000) / transferMs);
+}
+
+function openCircuit(h) {
+  h.trips++;
+  h.openUntil = Date.now() + Math.min(MAX_COOLDOWN_MS, BASE_COOLDOWN_MS * Math.pow(2, h.trips - 1));
+}
+
+function recordFailure(url, err) {
+  const h = entry(hostOf(url));
+  h.requests++;
+  h.failures++;
+  h.lastUrl = url;
+  const status = err?.response?.status;
+  h.lastError = status ? `HTTP ${status}` : (err?.code || err?.message || String(err));
+  // Fichier absent de ce miroir: l'hôte répond, ce n'est pas une panne
+  if (status === 404 || status === 410) return;
+  h.consecutiveFailures++;
+  // Un hôte semi-ouvert (attente écoulée, pas encore de succès) qui échoue est immédiatement écarté
+  const state = circuitState(h);
+  if (state === 'half-open' || (state === 'closed' && h.consecutiveFailures >= FAILURE_THRESHOLD)) openCircuit(h);
+}
+
+// Contenu servi mais invalide (empreinte, archive corrompue): compte comme un échec
+function recordRejected(url, reason) {
+  entry(hostOf(url)).rejected++;
+  recordFailure(url, new Error(reason || 'contenu invalide'));
+}
+
+function circuitState(h, now = Date.now()) {
+  if (h.openUntil > now) return 'open';
+  if (h.openUntil) return 'half-open';
+  return 'closed';
+}
+
+// Coût estimé d'un fichier sur cet hôte (ms), pénalisé par le taux d'échec
+function expectedCost(host) {
+  const h = hosts.get(host);
+  if (!h) return DEFAULT_LATENCY_MS + (REFERENCE_SIZE * 1000) / DEFAULT_THROUGHPUT;
+  const latency = h.latencyMs ?? DEFAULT_LATENCY_MS;
+  const throughput = h.throughput ?? DEFAULT_THROUGHPUT;
+  const successRate = (h.successes + 1) / (h.requests + 2);
+  return (latency + (REFERENCE_SIZE * 1000) / throughput) / successRate;
+}
+
+// Réordonne les URL candidates d'un fichier: circuits ouverts en dernier, puis par coût croissant.
+// À coût égal (hôtes inconnus), l'ordre d'origine est conservé.
+function rankMirrors(urls) {
+  const now = Date.now();
+  const list = (Array.isArray(urls) ? urls : [urls]).filter(Boolean);
+  const ranked = list.map((url, index) => {
+    const host = hostOf(url);
+    const h = hosts.get(host);
+    const open = h ? circuitState(h, now) === 'open' : false;
+    return { url, index, open, cost: expectedCost(host) };
+  });
+  ranked.sort((a, b) => (a.open - b.open) || (a.cost - b.cost) || (a.index - b.index));
+  return ranked.map(r => r.url);
+}
+
+// Statistiques de session (IPC mirrors:stats)
+function getMirrorStats() {
+  const now = Date.now();
+  return [...hosts.values()]
+    .map(h => ({
+      host: h.host,
+      requests: h.requests,
+      successes: h.successes,
+      failures: h.failures,
+      rejected: h.rejected,
+      latencyMs: h.latencyMs == null ? null : Math.round(h.latencyMs),
+      throughputKBs: h.throughput == null ? null : Math.round(h.throughput / 1024),
+      bytes: h.bytes,
+      circuit: circuitState(h, now),
+      openUntil: h.openUntil > now ? new Date(h.openUntil).toISOString() : null,
+      lastUrl: h.lastUrl,
+      lastError: h.lastError,
+      lastUsedAt: h.lastUsedAt ? new Date(h.lastUsedAt).toISOString() : null,
+      expectedCostMs: Math.round(expectedCost(h.host))
+    }))
+    .sort((a, b) => b.successes - a.successes);
+}
+
+module.exports = { rankMirrors, recordSuccess, recordFailure, recordRejected, getMirrorStats };
@@ -32,6 +32,22 @@ contextBridge.exposeInMainWorld('eminium', {
   getProfile: withLogging('auth:profile:get', () => 
     ipcRenderer.invoke('auth:profile:get')
   ),
+  // Comptes enregistrés: liste, changement (null: aucun compte actif), retrait avec révocation
+  listAccounts: withLogging('accounts:list', () =>
+    ipcRenderer.invoke('accounts:list')
+  ),
+  switchAccount: withLogging('accounts:switch', (key) =>
+    ipcRenderer.invoke('accounts:switch', key)
+  ),
+  removeAccount: withLogging('accounts:remove', (key) =>
+    ipcRenderer.invoke('accounts:remove', key)
+  ),
+  // Session effacée par le main (jeton expiré/révoqué, compte banni): { status, message, reason }
+  onSession: (cb) => {
+    const handler = (_evt, data) => cb?.(data);
+    ipcRenderer.on('auth:session', handler);
+    return () => ipcRenderer.removeListener('auth:session', handler);
+  },
   
   // Gestion du launcher
   ensure: withLogging('launcher:ensure', () => 
@@ -46,12 +62,41 @@ contextBridge.exposeInMainWorld('eminium', {
   prepare: withLogging('launcher:prepare', () => 
     ipcRenderer.invoke('launcher:prepare')
   ),
-  
+  // Client en cours d'exécution: état (PID, durée, mémoire), arrêt, changements
+  gameState: withLogging('launcher:gameState', () =>
+    ipcRenderer.invoke('launcher:gameState')
+  ),
+  stop: withLogging('launcher:stop', (pid) =>
+    ipcRenderer.invoke('launcher:stop', { pid })
+  ),
+  onGameState: (cb) => {
+    const handler = (_evt, state) => cb?.(state);
+    ipcRenderer.on('game:state', handler);
+    return () => ipcRenderer.removeListener('game:state', handler);
+  },
+  // Annule la tâche en cours (id reçu dans les événements de progression)
+  cancel: withLogging('launcher:cancel', (taskId) =>
+    ipcRenderer.invoke('launcher:cancel', { taskId })
+  ),
+
   // Utilitaires réseau
   ping: withLogging('launcher:ping', (host, port, timeout = 3000) => 
     ipcRenderer.invoke('launcher:ping', { host, port, timeout })
   ),
-  
+
+  // Serveurs
+  listServers: withLogging('servers:list', (refresh = false) =>
+    ipcRenderer.invoke('servers:list', { refresh })
+  ),
+  selectServer: withLogging('servers:select', (id) =>
+    ipcRenderer.invoke('servers:select', id)
+  ),
+
+  // Statistiques des miroirs (session)
+  getMirrorStats: withLogging('mirrors:stats', () =>
+    ipcRenderer.invoke('mirrors:stats')
+  ),
+
   // Informations système
   getSystemRamMB: withLogging('sys:ram:totalMB', () => 
     ipcRenderer.invoke('sys:ram:totalMB')
@@ -64,6 +109,16 @@ contextBridge.exposeInMainWorld('eminium', {
   setSettings: withLogging('settings:set', (patch) => 
     ipcRenderer.invoke('settings:set', patch)
   ),
+  validateJvmArgs: withLogging('jvm:validate', (args) =>
+    ipcRenderer.invoke('jvm:validate', { args })
+  ),
+  // Runtimes Java: détection (refresh: nouvelle recherche) et téléchargement d'une JRE compatible
+  listJavaRuntimes: withLogging('java:list', (refresh = false) =>
+    ipcRenderer.invoke('java:list', { refresh })
+  ),
+  installJava: withLogging('java:install', () =>
+    ipcRenderer.invoke('java:install')
+  ),
   
   // Maintenance
   getMaintenance: withLogging('maintenance:get', () => 
@@ -71,17 +126,27 @@ contextBridge.exposeInMainWorld('eminium', {
   )
 });
 
-// Progress event subscriptions
+// Progress event subscription: un seul flux typé (progressBus.js) pour préparation, lancement et mises à jour
 contextBridge.exposeInMainWorld('eminiumProgress', {
-  onEnsureProgress: (cb) => {
+  subscribe: (cb) => {
     const handler = (_evt, data) => cb?.(data);
-    ipcRenderer.on('ensure:progress', handler);
-    return () => ipcRenderer.removeListener('ensure:progress', handler);
-  },
-  onPlayProgress: (cb) => {
+    ipcRenderer.on('progress:event', handler);
+    return () => ipcRenderer.removeListener('progress:event', handler);
+  }
+});
+
+// Journaux de session (.eminium/logs/sessions): lecture, ajout depuis l'interface, nouvelles lignes
+contextBridge.exposeInMainWorld('eminiumLogs', {
+  sessions: () => ipcRenderer.invoke('logs:sessions'),
+  read: (id) => ipcRenderer.invoke('logs:read', { id }),
+  append: (message, level = 'info') => ipcRenderer.invoke('logs:append', { message, level }),
+  open: (id) => ipcRenderer.invoke('logs:open', { id }),
+  // Archive zip pour le support (boîte d'enregistrement côté main)
+  exportDiagnostics: () => ipcRenderer.invoke('diagnostics:export'),
+  subscribe: (cb) => {
     const handler = (_evt, data) => cb?.(data);
-    ipcRenderer.on('play:progress', handler);
-    return () => ipcRenderer.removeListener('play:progress', handler);
+    ipcRenderer.on('logs:entries', handler);
+    return () => ipcRenderer.removeListener('logs:entries', handler);
   }
 });
 
@@ -104,11 +169,6 @@ contextBridge.exposeInMainWorld('updater', {
   check: (opts) => ipcRenderer.invoke('updater:check', opts || {}),
   download: (info) => ipcRenderer.invoke('updater:download', info),
   apply: (info) => ipcRenderer.invoke('updater:apply', info),
-  relaunch: () => ipcRenderer.invoke('app:relaunch'),
-  onProgress: (cb) => {
-    const handler = (_evt, data) => cb?.(data);
-    ipcRenderer.on('update:progress', handler);
-    return () => ipcRenderer.removeListener('update:progress', handler);
-  },
-  offProgress: () => ipcRenderer.removeAllListeners('update:progress')
+  confirm: () => ipcRenderer.invoke('updater:confirm'),
+  relaunch: () => ipcRenderer.invoke('app:relaunch')
 });
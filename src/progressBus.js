@@ -0,0 +1,215 @@
+// Bus de progression unique du process principal: préparation, lancement et mises à jour.
+// Chaque opération est une tâche nommée, découpée en étapes pondérées. Tous les événements ont la même forme:
+//   { seq, ts, task, kind, type, step, severity, message, progress, stepProgress, data }
+//   type: 'task:start' | 'step' | 'progress' | 'log' | 'task:end'
+//   severity: 'debug' | 'info' | 'warn' | 'error'
+//   progress: avancement global pondéré de la tâche (0..1), stepProgress: celui de l'étape courante
+// Le renderer les reçoit sur un seul canal IPC (progress:event); main.js en tire le journal de session (sessionLog.js).
+const { EventEmitter } = require('events');
+const { isCancelled } = require('./cancellation');
+
+const SEVERITIES = ['debug', 'info', 'warn', 'error'];
+// Les événements 'progress' d'une tâche sont espacés d'au moins cet intervalle (sauf fin d'étape)
+const PROGRESS_INTERVAL_MS = 100;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+let seq = 0;
+let nextId = 1;
+// Tâche du jeu en cours (prepare/play): destinataire des événements émis par setup.js
+let gameTask = null;
+// Tâches non terminées, annulables via cancel()
+const activeTasks = new Map();
+
+function publish(evt) {
+  const full = Object.assign({
+    seq: ++seq,
+    ts: Date.now(),
+    task: null,
+    kind: null,
+    step: null,
+    severity: 'info',
+    message: null,
+    progress: null,
+    stepProgress: null,
+    data: null
+  }, evt);
+  if (!SEVERITIES.includes(full.severity)) full.severity = 'info';
+  for (const fn of emitter.listeners('event')) {
+    try { fn(full); } catch { }
+  }
+  return full;
+}
+
+class ProgressTask {
+  // steps: [{ id, label, weight }] dans l'ordre d'exécution
+  constructor(kind, title, steps) {
+    this.id = `${kind}-${nextId++}`;
+    this.kind = kind;
+    this.title = title;
+    this.steps = (steps || []).map(s => ({
+      id: s.id,
+      label: s.label || s.id,
+      weight: s.weight > 0 ? s.weight : 1,
+      fraction: 0,
+      state: 'pending'
+    }));
+    this.stepId = null;
+    this.ended = false;
+    this.lastProgressAt = 0;
+    this.controller = new AbortController();
+  }
+
+  // Jeton d'annulation à transmettre aux opérations de la tâche
+  get signal() {
+    return this.controller.signal;
+  }
+
+  cancel() {
+    if (this.ended || this.controller.signal.aborted) return false;
+    this.controller.abort();
+    this.log('Annulation demandée…', 'warn');
+    return true;
+  }
+
+  currentStep() {
+    return this.steps.find(s => s.id === this.stepId) || null;
+  }
+
+  overall() {
+    const total = this.steps.reduce((n, s) => n + s.weight, 0);
+    if (!total) return null;
+    return this.steps.reduce((n, s) => n + s.weight * s.fraction, 0) / total;
+  }
+
+  describeSteps() {
+    return this.steps.map(({ id, label, state }) => ({ id, label, state }));
+  }
+
+  emit(type, fields) {
+    if (this.ended) return null;
+    const cur = this.currentStep();
+    return publish(Object.assign({
+      task: this.id,
+      kind: this.kind,
+      type,
+      step: this.stepId,
+      progress: this.overall(),
+      stepProgress: cur ? cur.fraction : null
+    }, fields));
+  }
+
+  // Passe à l'étape id (les étapes précédentes sont terminées); une étape inconnue est ajoutée en fin de liste
+  step(id, message) {
+    if (this.ended) return;
+    let s = this.steps.find(x => x.id === id);
+    if (!s) {
+      s = { id, label: message || id, weight: 1, fraction: 0, state: 'pending' };
+      this.steps.push(s);
+    }
+    for (const x of this.steps) {
+      if (x === s) break;
+      if (x.state !== 'skipped') { x.state = 'done'; x.fraction = 1; }
+    }
+    s.state = 'running';
+    this.stepId = id;
+    this.lastProgressAt = 0;
+    this.emit('step', { message: message || s.label, data: { steps: this.describeSteps() } });
+  }
+
+  // Étape sans objet pour cette exécution (ex: rien à télécharger): comptée comme faite
+  skip(id) {
+    const s = this.steps.find(x => x.id === id);
+    if (!s || s.state === 'done') return;
+    s.state = 'skipped';
+    s.fraction = 1;
+  }
+
+  // Avancement de l'étape courante: done/total (octets, fichiers...), data libre (débit, fichier en cours...)
+  progress(done, total, data = null) {
+    const s = this.currentStep();
+    if (!s || this.ended) return;
+    if (total > 0) s.fraction = Math.max(0, Math.min(1, done / total));
+    const now = Date.now();
+    if (s.fraction < 1 && now - this.lastProgressAt < PROGRESS_INTERVAL_MS) return;
+    this.lastProgressAt = now;
+    this.emit('progress', { data: Object.assign({ done, total }, data) });
+  }
+
+  log(message, severity = 'info', data = null) {
+    this.emit('log', { message: String(message), severity, data });
+  }
+
+  end(ok, message, extra = null) {
+    if (this.ended) return;
+    if (ok) {
+      for (const s of this.steps) {
+        if (s.state !== 'skipped') s.state = 'done';
+        s.fraction = 1;
+      }
+    } else {
+      const s = this.currentStep();
+      if (s) s.state = 'error';
+    }
+    this.emit('task:end', {
+      severity: ok ? 'info' : (extra?.cancelled ? 'warn' : 'error'),
+      message: message || null,
+      data: Object.assign({ ok: !!ok, steps: this.describeSteps() }, extra)
+    });
+    this.ended = true;
+    activeTasks.delete(this.id);
+    if (gameTask === this) gameTask = null;
+  }
+
+  done(message) { this.end(true, message); }
+
+  // Une annulation n'est pas une erreur: fin signalée avec data.cancelled
+  fail(err) {
+    if (isCancelled(err) || this.controller.signal.aborted) this.end(false, 'Opération annulée', { cancelled: true });
+    else this.end(false, err?.message || String(err));
+  }
+}
+
+// kind: 'ensure' | 'prepare' | 'play' | 'update' | 'java'
+function startTask(kind, { title, steps } = {}) {
+  const task = new ProgressTask(kind, title || kind, steps);
+  if (kind === 'prepare' || kind === 'play') {
+    // Une seule préparation du jeu à la fois: l'ancienne tâche est close
+    if (gameTask) gameTask.end(false, 'Remplacée par une nouvelle opération');
+    gameTask = task;
+  }
+  activeTasks.set(task.id, task);
+  task.emit('task:start', { message: task.title, data: { title: task.title, steps: task.describeSteps() } });
+  return task;
+}
+
+// Émetteurs sans référence de tâche (setup.js): rattachés à la tâche du jeu en cours, sinon événement isolé
+function log(message, severity = 'info', data = null) {
+  if (gameTask) gameTask.log(message, severity, data);
+  else publish({ type: 'log', message: String(message), severity, data });
+}
+
+function step(id, message) {
+  if (gameTask) gameTask.step(id, message);
+}
+
+function progress(done, total, data = null) {
+  if (gameTask) gameTask.progress(done, total, data);
+}
+
+// Annule la tâche taskId, ou toutes les tâches en cours si taskId est absent; retourne le nombre de tâches annulées
+function cancel(taskId = null) {
+  let n = 0;
+  for (const task of [...activeTasks.values()]) {
+    if (taskId && task.id !== taskId) continue;
+    if (task.cancel()) n++;
+  }
+  return n;
+}
+
+function subscribe(fn) {
+  emitter.on('event', fn);
+  return () => emitter.removeListener('event', fn);
+}
+
+module.exports = { SEVERITIES, startTask, cancel, log, step, progress, subscribe };
@@ -0,0 +1,205 @@
+// Téléchargement reprenable (HTTP Range) avec retries à backoff exponentiel.
+// Le fichier partiel (<dest>.tmp-download) est conservé entre les tentatives, et même entre deux lancements.
+// Ses validateurs (ETag/Last-Modified) sont gardés dans <dest>.tmp-download.json: la reprise se fait avec If-Range,
+// et un serveur qui ignore Range ou dont le contenu a changé renvoie 200 → redémarrage propre depuis zéro.
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { cancelledError, isCancelled, throwIfCancelled, delay } = require('./cancellation');
+
+const DEFAULTS = {
+  retries: 5,
+  baseDelayMs: 500,
+  maxDelayMs: 15000,
+  // Coupe une connexion qui ne reçoit plus rien (sinon la tentative peut rester bloquée indéfiniment)
+  stallTimeoutMs: 30000
+};
+
+// 500ms, 1s, 2s, 4s… (+ jusqu'à 25% d'aléa), plafonné
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const d = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+  return Math.round(d + Math.random() * d * 0.25);
+}
+
+// Les erreurs client définitives ne sont pas retentées (sauf 408/429)
+function isRetryable(err) {
+  const status = err?.response?.status;
+  if (!status) return true;
+  if (status === 408 || status === 429) return true;
+  return status >= 500;
+}
+
+function readMeta(metaPath) {
+  try { return JSON.parse(fs.readFileSync(metaPath, 'utf8')); } catch { return null; }
+}
+
+function removeFile(p) {
+  try {
+    if (!fs.existsSync(p)) return;
+    const st = fs.lstatSync(p);
+    if (st.isDirectory()) fs.rmSync(p, { recursive: true, force: true });
+    else fs.unlinkSync(p);
+  } catch { }
+}
+
+// Validateur utilisable pour If-Range: ETag fort, sinon Last-Modified
+function rangeValidator(meta) {
+  if (meta?.etag && !/^W\//.test(meta.etag)) return meta.etag;
+  return meta?.lastModified || null;
+}
+
+async function attempt(client, url, tmp, metaPath, opts) {
+  throwIfCancelled(opts.signal);
+  let offset = 0;
+  const meta = readMeta(metaPath);
+  try { offset = fs.statSync(tmp).size; } catch { }
+  const validator = meta && meta.url === url ? rangeValidator(meta) : null;
+  if (offset > 0 && meta && meta.url === url && meta.total && offset === meta.total && validator) {
+    return { total: meta.total, resumed: true }; // déjà complet lors d'une tentative précédente
+  }
+  if (offset > 0 && !validator) {
+    // Partiel d'une autre URL ou sans validateur: impossible de reprendre sans risque
+    removeFile(tmp);
+    offset = 0;
+  }
+
+  const headers = Object.assign({}, opts.headers);
+  if (offset > 0) {
+    headers.Range = `bytes=${offset}-`;
+    headers['If-Range'] = validator;
+  }
+  const res = await client({
+    url,
+    method: 'GET',
+    responseType: 'stream',
+    headers,
+    signal: opts.signal,
+    validateStatus: (s) => (s >= 200 && s < 300) || s === 416
+  });
+
+  if (res.status === 416) {
+    try { res.data.destroy(); } catch { }
+    // Plage refusée: le partiel ne correspond plus à la ressource
+    removeFile(tmp);
+    removeFile(metaPath);
+    const err = new Error(`Plage refusée pour ${url}, redémarrage du téléchargement`);
+    err.restart = true;
+    throw err;
+  }
+
+  let total = 0;
+  if (res.status === 206) {
+    const m = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(String(res.headers['content-range'] || ''));
+    if (!m || Number(m[1]) !== offset) {
+      try { res.data.destroy(); } catch { }
+      removeFile(tmp);
+      removeFile(metaPath);
+      const err = new Error(`Content-Range inattendu pour ${url}`);
+      err.restart = true;
+      throw err;
+    }
+    total = m[2] === '*' ? 0 : Number(m[2]);
+  } else {
+    // 200: pas de support des plages, ou contenu modifié (If-Range) → repartir de zéro
+    offset = 0;
+    total = Number(res.headers['content-length'] || 0);
+  }
+
+  const etag = res.headers.etag || (res.status === 206 ? meta?.etag : null) || null;
+  const lastModified = res.headers['last-modified'] || (res.status === 206 ? meta?.lastModified : null) || null;
+  try { fs.writeFileSync(metaPath, JSON.stringify({ url, etag, lastModified, total })); } catch { }
+
+  let received = offset;
+  opts.onProgress(received, total);
+  let source = res.data;
+  await new Promise((resolve, reject) => {
+    const writer = fs.createWriteStream(tmp, { flags: offset > 0 ? 'a' : 'w' });
+    let stallTimer = null;
+    const armStall = () => {
+      clearTimeout(stallTimer);
+      stallTimer = setTimeout(() => res.data.destroy(new Error(`Téléchargement bloqué (${url})`)), opts.stallTimeoutMs);
+    };
+    // Annulation: le flux est coupé, le partiel déjà écrit reste pour une reprise ultérieure
+    const onAbort = () => res.data.destroy(cancelledError());
+    if (opts.signal) opts.signal.addEventListener('abort', onAbort, { once: true });
+    let failed = false;
+    // Le partiel doit être entièrement écrit avant la prochaine tentative (reprise à sa taille)
+    const fail = (e) => {
+      if (failed) return;
+      failed = true;
+      clearTimeout(stallTimer);
+      if (opts.signal) opts.signal.removeEventListener('abort', onAbort);
+      try { source.unpipe(writer); } catch { }
+      if (writer.destroyed) reject(e);
+      else writer.end(() => reject(e));
+    };
+    armStall();
+    res.data.on('data', (chunk) => {
+      received += chunk.length;
+      armStall();
+      opts.onProgress(received, total);
+    });
+    res.data.on('error', fail);
+    res.data.on('aborted', () => fail(new Error(`Connexion interrompue (${url})`)));
+    writer.on('error', fail);
+    writer.on('finish', () => {
+      clearTimeout(stallTimer);
+      if (opts.signal) opts.signal.removeEventListener('abort', onAbort);
+      resolve();
+    });
+    // Plafond de débit: le flux est ralenti par contre-pression, sans perte de données
+    source = opts.throttle
+      ? res.data.pipe(new Transform({
+        transform(chunk, _enc, cb) { opts.throttle(chunk.length).then(() => cb(null, chunk), cb); }
+      }))
+      : res.data;
+    source.pipe(writer);
+  });
+
+  const size = fs.statSync(tmp).size;
+  if (total && size !== total) throw new Error(`Téléchargement incomplet (${size}/${total} octets) pour ${url}`);
+  return { total: size, resumed: offset > 0 };
+}
+
+// Télécharge url vers dest. client: instance axios (ou compatible).
+// opts: { headers, onProgress(received, total), throttle(bytes) → Promise, signal, retries, baseDelayMs, maxDelayMs, stallTimeoutMs }
+// signal (AbortSignal): annule la tentative en cours et les suivantes; le partiel est conservé (reprise).
+// Retourne { size, resumed }.
+async function downloadResumable(client, url, dest, options = {}) {
+  const opts = Object.assign({}, DEFAULTS, { onProgress: () => { } }, options);
+  const tmp = dest + '.tmp-download';
+  const metaPath = tmp + '.json';
+  fs.mkdirSync(path.dirname(dest), { recursive: true });
+
+  let lastErr;
+  for (let i = 0; i <= opts.retries; i++) {
+    try {
+      const { total, resumed } = await attempt(client, url, tmp, metaPath, opts);
+      if (!total) throw new Error(`Empty download for ${url}`);
+      removeFile(dest);
+      try {
+        fs.renameSync(tmp, dest);
+      } catch (e) {
+        // As a fallback copy and then remove tmp
+        fs.copyFileSync(tmp, dest);
+        removeFile(tmp);
+      }
+      removeFile(metaPath);
+      return { size: total, resumed };
+    } catch (e) {
+      if (isCancelled(e) || (opts.signal && opts.signal.aborted)) throw cancelledError();
+      lastErr = e;
+      if (!e.restart && !isRetryable(e)) break;
+      if (i < opts.retries) await delay(e.restart ? 0 : backoffDelay(i, opts), opts.signal);
+    }
+  }
+  throw lastErr || new Error(`Failed to download to ${dest}`);
+}
+
+// Abandonne un partiel (ex: contenu rejeté après vérification d'empreinte)
+function discardPartial(dest) {
+  removeFile(dest + '.tmp-download');
+  removeFile(dest + '.tmp-download.json');
+}
+
+module.exports = { downloadResumable, discardPartial, backoffDelay };
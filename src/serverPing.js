@@ -0,0 +1,219 @@
+// Minecraft Server List Ping (statut serveur) — protocole moderne (1.7+) avec repli legacy (1.4–1.6)
+const net = require('net');
+
+// ── Encodage du protocole
+function writeVarInt(value) {
+  const bytes = [];
+  let v = value >>> 0;
+  do {
+    let b = v & 0x7f;
+    v >>>= 7;
+    if (v !== 0) b |= 0x80;
+    bytes.push(b);
+  } while (v !== 0);
+  return Buffer.from(bytes);
+}
+
+// Retourne { value, size } ou null si le buffer est incomplet
+function readVarInt(buf, offset = 0) {
+  let value = 0;
+  let size = 0;
+  while (true) {
+    if (offset + size >= buf.length) return null;
+    const b = buf[offset + size];
+    value |= (b & 0x7f) << (7 * size);
+    size++;
+    if (size > 5) throw new Error('VarInt trop long');
+    if ((b & 0x80) === 0) return { value, size };
+  }
+}
+
+function writeString(s) {
+  const b = Buffer.from(String(s), 'utf8');
+  return Buffer.concat([writeVarInt(b.length), b]);
+}
+
+function packet(id, payload) {
+  const body = Buffer.concat([writeVarInt(id), payload]);
+  return Buffer.concat([writeVarInt(body.length), body]);
+}
+
+// ── Normalisation de la réponse
+const stripFormatting = (s) => String(s || '').replace(/§[0-9a-fk-orx]/gi, '');
+
+// Composant de chat JSON → texte brut
+function chatToText(c) {
+  if (c == null) return '';
+  if (typeof c === 'string') return stripFormatting(c);
+  if (Array.isArray(c)) return c.map(chatToText).join('');
+  if (typeof c === 'object') {
+    let out = stripFormatting(c.text ?? c.translate ?? '');
+    if (Array.isArray(c.extra)) out += c.extra.map(chatToText).join('');
+    return out;
+  }
+  return String(c);
+}
+
+function normalizeStatus(status, latency) {
+  const players = status?.players || {};
+  const protocol = Number(status?.version?.protocol);
+  return {
+    up: true,
+    latency,
+    motd: chatToText(status?.description).trim(),
+    version: {
+      name: stripFormatting(status?.version?.name || ''),
+      protocol: Number.isFinite(protocol) ? protocol : null
+    },
+    players: {
+      online: Number(players.online) || 0,
+      max: Number(players.max) || 0,
+      sample: Array.isArray(players.sample)
+        ? players.sample.map(p => ({ name: stripFormatting(p?.name || ''), id: String(p?.id || '') }))
+        : []
+    },
+    favicon: typeof status?.favicon === 'string' && status.favicon.startsWith('data:image/') ? status.favicon : null,
+    legacy: false
+  };
+}
+
+// Connexion commune: rejette avec err.connectFailed si la connexion TCP n'a jamais abouti.
+// getFallback() peut fournir un résultat partiel si le serveur coupe ou ne répond plus.
+function openSocket(host, port, timeout, onConnect, onData, getFallback = () => null) {
+  return new Promise((resolve, reject) => {
+    const socket = new net.Socket();
+    let connected = false;
+    let done = false;
+    const finish = (err, res) => {
+      if (done) return;
+      if (err && connected) {
+        const partial = getFallback();
+        if (partial) { err = null; res = partial; }
+      }
+      done = true;
+      clearTimeout(timer);
+      try { socket.destroy(); } catch { }
+      if (err) {
+        if (!connected) err.connectFailed = true;
+        reject(err);
+      } else {
+        resolve(res);
+      }
+    };
+    const timer = setTimeout(() => finish(new Error('Délai dépassé')), timeout);
+    socket.once('connect', () => {
+      connected = true;
+      try { onConnect(socket); } catch (e) { finish(e); }
+    });
+    socket.on('data', (chunk) => {
+      try { onData(chunk, socket, finish); } catch (e) { finish(e); }
+    });
+    socket.once('error', (e) => finish(e));
+    socket.once('close', () => finish(new Error('Connexion fermée par le serveur')));
+    try { socket.connect(port, host); } catch (e) { finish(e); }
+  });
+}
+
+// Handshake + Status Request, puis Ping/Pong pour mesurer la latence
+function statusPing(host, port, timeout, protocol) {
+  let buf = Buffer.alloc(0);
+  let status = null;
+  let start = 0;
+  let pingSentAt = 0;
+  // Certains proxys ne répondent pas au ping: la latence du statut sert de secours
+  let statusLatency = 0;
+  return openSocket(host, port, timeout, (socket) => {
+    const port16 = Buffer.alloc(2);
+    port16.writeUInt16BE(port);
+    start = Date.now();
+    socket.write(packet(0x00, Buffer.concat([writeVarInt(protocol), writeString(host), port16, writeVarInt(1)])));
+    socket.write(packet(0x00, Buffer.alloc(0)));
+  }, (chunk, socket, finish) => {
+    buf = Buffer.concat([buf, chunk]);
+    while (true) {
+      const len = readVarInt(buf, 0);
+      if (!len || buf.length < len.size + len.value) return;
+      const body = buf.subarray(len.size, len.size + len.value);
+      buf = buf.subarray(len.size + len.value);
+      const id = readVarInt(body, 0);
+      if (!id) throw new Error('Paquet invalide');
+      if (!status && id.value === 0x00) {
+        const strLen = readVarInt(body, id.size);
+        if (!strLen) throw new Error('Réponse de statut invalide');
+        const from = id.size + strLen.size;
+        status = JSON.parse(body.subarray(from, from + strLen.value).toString('utf8'));
+        statusLatency = Date.now() - start;
+        pingSentAt = Date.now();
+        const payload = Buffer.alloc(8);
+        payload.writeBigInt64BE(BigInt(pingSentAt));
+        socket.write(packet(0x01, payload));
+      } else if (status && id.value === 0x01) {
+        return finish(null, normalizeStatus(status, Date.now() - pingSentAt));
+      }
+    }
+  }, () => (status ? normalizeStatus(status, statusLatency) : null));
+}
+
+// Ping legacy: FE 01 → FF + chaîne UTF-16BE
+function legacyPing(host, port, timeout) {
+  let buf = Buffer.alloc(0);
+  let start = 0;
+  return openSocket(host, port, timeout, (socket) => {
+    start = Date.now();
+    socket.write(Buffer.from([0xfe, 0x01]));
+  }, (chunk, _socket, finish) => {
+    buf = Buffer.concat([buf, chunk]);
+    if (buf.length < 3) return;
+    if (buf[0] !== 0xff) throw new Error('Réponse legacy invalide');
+    const chars = buf.readUInt16BE(1);
+    if (buf.length < 3 + chars * 2) return;
+    const be = Buffer.from(buf.subarray(3, 3 + chars * 2));
+    const str = be.swap16().toString('utf16le');
+    let protocol = null; let name = ''; let motd; let online; let max;
+    if (str.startsWith('§1\0')) {
+      // 1.4–1.6: §1\0protocole\0version\0motd\0joueurs\0max
+      const parts = str.split('\0');
+      protocol = Number(parts[1]);
+      name = parts[2] || '';
+      [motd, online, max] = [parts[3], parts[4], parts[5]];
+    } else {
+      // Beta 1.8–1.3: motd§joueurs§max
+      const parts = str.split('§');
+      [motd, online, max] = [parts.slice(0, -2).join('§'), parts[parts.length - 2], parts[parts.length - 1]];
+    }
+    finish(null, {
+      up: true,
+      latency: Date.now() - start,
+      motd: stripFormatting(motd).trim(),
+      version: { name, protocol: Number.isFinite(protocol) ? protocol : null },
+      players: { online: Number(online) || 0, max: Number(max) || 0, sample: [] },
+      favicon: null,
+      legacy: true
+    });
+  });
+}
+
+// Interroge un serveur Minecraft. Ne rejette jamais: { up: false, error } en cas d'échec.
+async function pingServer(host, port, { timeout = 3000, protocol = -1 } = {}) {
+  try {
+    return await statusPing(host, port, timeout, protocol);
+  } catch (e) {
+    // Port fermé/injoignable: inutile de tenter le protocole legacy
+    if (e?.connectFailed) return { up: false, error: e?.message || String(e) };
+    try {
+      return await legacyPing(host, port, timeout);
+    } catch (e2) {
+      return { up: false, error: e?.message || String(e) };
+    }
+  }
+}
+
+// Le client lancé ne peut rejoindre que si le serveur annonce le même protocole
+function isProtocolCompatible(res, expectedProtocol) {
+  if (!res || !res.up) return false;
+  if (res.legacy) return false;
+  if (typeof res.version?.protocol !== 'number') return true;
+  return res.version.protocol === expectedProtocol;
+}
+
+module.exports = { pingServer, isProtocolCompatible };
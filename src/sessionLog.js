@@ -0,0 +1,172 @@
+// Journaux persistants, un fichier texte par session dans <eminiumDir>/logs/sessions.
+// Une session commence au démarrage du launcher, puis à chaque lancement du jeu: la préparation,
+// les événements du launcher et la sortie du client sont ainsi sur la même chronologie.
+// Ligne: "<ISO> <NIVEAU> [source] message"; seules les MAX_SESSIONS dernières sessions sont gardées.
+const fs = require('fs');
+const path = require('path');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const MAX_SESSIONS = 20;
+// Au-delà, la session n'est plus écrite sur disque (une dernière ligne le signale)
+const MAX_SESSION_BYTES = 20 * 1024 * 1024;
+// Lecture d'une session: seules les dernières lignes sont renvoyées
+const MAX_READ_LINES = 100000;
+const LINE_RE = /^(\d{4}-\d\d-\d\dT[\d:.]+Z) (DEBUG|INFO|WARN|ERROR)\s+\[([^\]]*)\] ?(.*)$/;
+
+let dir = null;
+let current = null; // { id, file, stream, bytes, full }
+const listeners = new Set();
+
+function init(baseDir) {
+  dir = path.join(baseDir, 'logs', 'sessions');
+  try { fs.mkdirSync(dir, { recursive: true }); } catch { }
+}
+
+const stamp = (d) => d.toISOString().replace(/[:T]/g, '-').replace(/\..*$/, '');
+
+function listFiles() {
+  try {
+    return fs.readdirSync(dir).filter(f => f.endsWith('.log')).sort();
+  } catch { return []; }
+}
+
+function prune() {
+  const files = listFiles();
+  for (const f of files.slice(0, Math.max(0, files.length - MAX_SESSIONS))) {
+    if (current && current.id === f) continue;
+    try { fs.unlinkSync(path.join(dir, f)); } catch { }
+  }
+}
+
+function closeSession() {
+  if (!current) return;
+  try { current.stream.end(); } catch { }
+  current = null;
+}
+
+// label: 'launcher' | 'play'
+function startSession(label) {
+  if (!dir) return null;
+  closeSession();
+  const now = new Date();
+  let id = `${stamp(now)}_${label}.log`;
+  // Deux sessions dans la même seconde
+  for (let n = 2; fs.existsSync(path.join(dir, id)); n++) id = `${stamp(now)}_${label}-${n}.log`;
+  const file = path.join(dir, id);
+  // Fichier créé tout de suite (le flux l'ouvre de façon asynchrone)
+  let stream;
+  try {
+    stream = fs.createWriteStream(null, { fd: fs.openSync(file, 'a') });
+  } catch {
+    return null;
+  }
+  stream.on('error', () => { if (current && current.stream === stream) current.full = true; });
+  current = { id, file, stream, bytes: 0, full: false };
+  prune();
+  return id;
+}
+
+function formatLine(entry) {
+  const iso = new Date(entry.ts).toISOString();
+  return `${iso} ${entry.level.toUpperCase().padEnd(5)} [${entry.source}] ${entry.message}`;
+}
+
+// entry: { level, source, message, ts? }; un message sur plusieurs lignes donne une entrée par ligne
+function append({ level = 'info', source = 'launcher', message, ts = Date.now() }) {
+  if (message == null) return;
+  const lvl = LEVELS.includes(level) ? level : 'info';
+  const src = String(source || 'launcher').replace(/[\]\r\n]/g, '');
+  const lines = String(message).replace(/\r\n?/g, '\n').split('\n');
+  while (lines.length && !lines[lines.length - 1].trim()) lines.pop();
+  const entries = lines.map(m => ({ ts, level: lvl, source: src, message: m }));
+  if (!entries.length) return;
+  if (current && !current.full) {
+    const text = entries.map(formatLine).join('\n') + '\n';
+    current.bytes += Buffer.byteLength(text);
+    if (current.bytes > MAX_SESSION_BYTES) {
+      current.full = true;
+      current.stream.write(formatLine({ ts, level: 'warn', source: 'launcher', message: `Journal limité à ${MAX_SESSION_BYTES / (1024 * 1024)} Mo: la suite n'est pas enregistrée` }) + '\n');
+    } else {
+      current.stream.write(text);
+    }
+  }
+  for (const fn of listeners) {
+    try { fn(entries, current ? current.id : null); } catch { }
+  }
+}
+
+// fn(entries, sessionId) à chaque ajout; retourne la fonction de désabonnement
+function onAppend(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+function parseLine(line) {
+  const m = LINE_RE.exec(line);
+  if (!m) return null;
+  return { ts: Date.parse(m[1]), level: m[2].toLowerCase(), source: m[3], message: m[4] };
+}
+
+function listSessions() {
+  return listFiles().reverse().map((id) => {
+    let size = 0;
+    try { size = fs.statSync(path.join(dir, id)).size; } catch { }
+    const m = /^(\d{4}-\d\d-\d\d)-(\d\d)-(\d\d)-(\d\d)_([a-z]+)/.exec(id);
+    return {
+      id,
+      label: m ? m[5] : 'session',
+      startedAt: m ? new Date(`${m[1]}T${m[2]}:${m[3]}:${m[4]}Z`).toISOString() : null,
+      size,
+      current: !!current && current.id === id
+    };
+  });
+}
+
+// Le nom vient du renderer: seuls les fichiers du dossier des sessions sont acceptés
+function sessionPath(id) {
+  const name = path.basename(String(id || ''));
+  if (!name.endsWith('.log')) return null;
+  const file = path.join(dir, name);
+  return fs.existsSync(file) ? file : null;
+}
+
+// Entrées d'une session; une ligne sans en-tête (ex: ancien format) prolonge l'entrée précédente
+async function readSession(id) {
+  const file = sessionPath(id);
+  if (!file) throw new Error('Session de journal introuvable');
+  const text = await fs.promises.readFile(file, 'utf8');
+  const lines = text.split('\n');
+  if (lines.length && lines[lines.length - 1] === '') lines.pop();
+  const truncated = lines.length > MAX_READ_LINES;
+  const entries = [];
+  for (const line of truncated ? lines.slice(-MAX_READ_LINES) : lines) {
+    const entry = parseLine(line);
+    if (entry) { entries.push(entry); continue; }
+    const prev = entries[entries.length - 1];
+    entries.push({ ts: prev ? prev.ts : null, level: prev ? prev.level : 'info', source: prev ? prev.source : '', message: line });
+  }
+  return { entries, truncated };
+}
+
+// Niveau d'une ligne du client ("[12:00:00] [Render thread/WARN]: ...")
+function gameLineLevel(line) {
+  if (/\/(ERROR|FATAL)\]/.test(line)) return 'error';
+  if (/\/WARN\]/.test(line)) return 'warn';
+  return 'info';
+}
+
+const currentSessionId = () => (current ? current.id : null);
+
+module.exports = {
+  LEVELS,
+  init,
+  startSession,
+  closeSession,
+  append,
+  onAppend,
+  listSessions,
+  sessionPath,
+  readSession,
+  currentSessionId,
+  gameLineLevel
+};
@@ -7,7 +7,19 @@ const https = require('https');
 const AdmZip = require('adm-zip');
 const crypto = require('crypto');           // pour générer un UUID offline si besoin
 const { execFileSync, spawnSync } = require('child_process');
+const { downloadResumable } = require('./resumableDownload');
+const { rankMirrors, recordSuccess, recordFailure, recordRejected } = require('./mirrorHealth');
+const { createDownloadScheduler } = require('./downloadScheduler');
+const progressBus = require('./progressBus');
+const { isCancelled, throwIfCancelled } = require('./cancellation');
+const { resolveJvmArgs } = require('./jvmArgs');
+const javaRuntime = require('./javaRuntime');
+const credentialStore = require('./credentialStore');
+const accountStore = require('./accountStore');
+const authlibInjector = require('./authlibInjector');
 const SITE_URL = 'https://eminium.ovh';     // ton site Azuriom
+// API Yggdrasil du site (authentification en ligne du jeu via authlib-injector)
+const YGGDRASIL_URL = process.env.YGGDRASIL_URL || `${SITE_URL}/api/yggdrasil`;
 const { app, BrowserWindow } = require('electron');
 
 
@@ -15,6 +27,8 @@ const { app, BrowserWindow } = require('electron');
 // ── Editable constants
 const MC_VERSION = '1.20.1';
 const FORGE_VERSION = '47.3.0';
+// Numéro de protocole réseau de MC_VERSION (refus de lancer si le serveur en annonce un autre)
+const MC_PROTOCOL = 763;
 // Emplacement de stockage "invisible" pour Forge+mods
 // userData est déjà une zone app spécifique (ex: %AppData%/Eminium Launcher)
 const appDataRoot = path.join(process.cwd(), '..'); // fallback when packaged
@@ -22,6 +36,10 @@ const hiddenCore = path.join(process.resourcesPath || app.getAppPath(), 'assets'
 const bundledModpack = path.join(hiddenCore, 'modpack.zip');
 // Modpack distant (fourni par l'utilisateur)
 const MODPACK_URL = 'https://github.com/Fourty3000/get-zip-for-eminium-launcher/archive/refs/tags/ZIP.zip';
+// Manifest du modpack (synchro incrémentale). Si absent (404), on retombe sur MODPACK_URL.
+const MODPACK_MANIFEST_URL = process.env.MODPACK_MANIFEST_URL || 'https://raw.githubusercontent.com/Fourty3000/get-zip-for-eminium-launcher/main/manifest.json';
+// Dossiers (relatifs à hiddenBase) qu'un manifest a le droit d'écrire
+const MODPACK_MANAGED_ROOTS = ['mods', 'config', 'resourcepacks'];
 
 // Dossier .eminium (options utilisateur visibles) -> sous AppData (roaming)
 const userHome = os.homedir();
@@ -92,7 +110,7 @@ function migrateFromOldHiddenBase(log) {
       }
       // cleanup if empty
       try { fs.rmdirSync(srcBase); } catch {}
-      try { if (globalThis.emitPlayProgress) globalThis.emitPlayProgress({ line: `[Migration] Données déplacées de ${label} vers AppData/.eminium` }); } catch {}
+      progressBus.log(`[Migration] Données déplacées de ${label} vers AppData/.eminium`);
       log && log(`[Migration] Terminé ${label} -> AppData/.eminium`);
     };
 
@@ -104,12 +122,12 @@ function migrateFromOldHiddenBase(log) {
 }
 
 // Fallback: récupérer l'URL du JSON de version via le manifest
-async function tryFetchVersionJsonViaManifest(mcVersion, destPath, log) {
+async function tryFetchVersionJsonViaManifest(mcVersion, destPath, log, signal = null) {
   const cacheDir = path.join(hiddenBase, 'cache');
   ensureDir(cacheDir);
   const mfPath = path.join(cacheDir, 'version_manifest.json');
   log && log('[BMCL] Récupération du manifest de versions');
-  await fetchWithFallback(BMCL.manifest(), mfPath, 'version manifest');
+  await fetchWithFallback(BMCL.manifest(), mfPath, 'version manifest', false, null, { signal });
   let manifest;
   try {
     manifest = JSON.parse(fs.readFileSync(mfPath, 'utf-8'));
@@ -128,7 +146,7 @@ async function tryFetchVersionJsonViaManifest(mcVersion, destPath, log) {
   // Dédupliquer
   const uniq = [...new Set(candidates.filter(Boolean))];
   log && log(`[BMCL] Résolution via manifest (${uniq.length} URL candidates)`);
-  await fetchWithFallback(uniq, destPath, `version ${mcVersion} json (manifest)`);
+  await fetchWithFallback(uniq, destPath, `version ${mcVersion} json (manifest)`, false, null, { signal });
 }
 
 function setHiddenWindows(p) {
@@ -141,39 +159,16 @@ function setHiddenWindows(p) {
 
 const jreRoot = path.join(app.getPath('userData'), 'jre');
 
-// Try to resolve a bundled Java runtime shipped with the app
-function resolveJavaPath() {
-  try {
-    // Expected layout: assets/core/jre/<platform>/bin/java(.exe|w.exe)
-    const platform = process.platform;
-    const jreRootBase = app.isPackaged
-      ? path.join(process.resourcesPath, 'assets', 'core', 'jre')
-      : path.join(app.getAppPath(), 'assets', 'core', 'jre');
-    let candidates = [];
-    if (platform === 'win32') {
-      const win = path.join(jreRootBase, 'win', 'bin');
-      // Prefer java.exe first (better for -version checks)
-      candidates = [
-        path.join(win, 'java.exe'),
-        path.join(win, 'javaw.exe')
-      ];
-    } else if (platform === 'darwin') {
-      const mac = path.join(jreRootBase, 'mac', 'Contents', 'Home', 'bin');
-      candidates = [path.join(mac, 'java')];
-    } else {
-      const linux = path.join(jreRootBase, 'linux', 'bin');
-      candidates = [path.join(linux, 'java')];
-    }
-    for (const p of candidates) {
-      if (fs.existsSync(p)) return p;
-    }
-    // Light debug to help during dev
-    console.warn('[JRE] Non trouvé. Base recherchée =', jreRootBase, 'candidats =', candidates);
-  } catch (e) {
-    try { console.warn('[JRE] resolveJavaPath error:', e?.message || String(e)); } catch {}
-  }
-  return undefined;
-}
+// JRE fournie avec l'application (assets/core/jre/<plateforme>) et JRE téléchargées dans jreRoot
+javaRuntime.init({
+  bundledDir: app.isPackaged
+    ? path.join(process.resourcesPath, 'assets', 'core', 'jre')
+    : path.join(app.getAppPath(), 'assets', 'core', 'jre'),
+  managedDir: jreRoot
+});
+credentialStore.init(app.getPath('userData'));
+accountStore.init(eminiumDir);
+authlibInjector.init(eminiumDir);
 
 function ensureBaseFolders() {
   // Exécuter la migration avant de créer les dossiers
@@ -181,14 +176,17 @@ function ensureBaseFolders() {
   Object.values(dirs).forEach(ensureDir);
   ensureDir(eminiumDir);
   ensureDir(jreRoot);
+  for (const root of OVERLAY_ROOTS) ensureDir(path.join(userOverlayDir, root));
   setHiddenWindows(hiddenBase);
 }
 
+// options.txt est créé par le jeu puis complété par gameOptions.js avant chaque lancement.
+// Les anciennes versions y écrivaient une ligne de commentaire seule, que Minecraft rejette: on la retire.
 function ensureUserOptions() {
   const optionsTxt = path.join(eminiumDir, 'options.txt');
-  if (!fs.existsSync(optionsTxt)) {
-    fs.writeFileSync(optionsTxt, '# Eminium user options\n');
-  }
+  try {
+    if (fs.readFileSync(optionsTxt, 'utf8').trim() === '# Eminium user options') fs.unlinkSync(optionsTxt);
+  } catch { }
 }
 
 function ensureMirrorsFile() {
@@ -230,15 +228,16 @@ function copyDir(src, dst) {
 }
 
 // Synchroniser le modpack depuis un ZIP distant
-async function syncModpackFromUrl(url, log) {
+// signal: annulation; le ZIP partiel est gardé pour reprise, mods/ n'est touché qu'après un téléchargement complet
+async function syncModpackFromUrl(url, log, signal = null) {
   try {
     if (!url) return;
     const cacheDir = path.join(hiddenBase, 'cache');
     ensureDir(cacheDir);
     const destZip = path.join(cacheDir, 'modpack.zip');
     log && log(`[Modpack] Téléchargement depuis ${url}`);
-    try { if (globalThis.emitPlayProgress) globalThis.emitPlayProgress({ line: `[Modpack] Téléchargement...` }); } catch {}
-    await aSYNC_GET(url, destZip);
+    progressBus.log(`[Modpack] Téléchargement...`);
+    await aSYNC_GET(url, destZip, { signal });
     // Vérifier le zip
     let zip;
     try {
@@ -258,7 +257,7 @@ async function syncModpackFromUrl(url, log) {
       const rootEntries = fs.readdirSync(tmp, { withFileTypes: true }).map(e => `${e.isDirectory() ? '[D]':'[F]'} ${e.name}`);
       const msg = `[Modpack] Contenu extrait (racine): ${rootEntries.join(', ')}`;
       console.log(msg);
-      if (globalThis.emitPlayProgress) try { globalThis.emitPlayProgress({ line: msg }); } catch {}
+      progressBus.log(msg);
     } catch {}
 
     // Chercher mods/config/resourcepacks à travers plusieurs conventions d'archives
@@ -322,7 +321,7 @@ async function syncModpackFromUrl(url, log) {
     try {
       const dbg = `[Modpack] Chemins détectés -> modsSrc: ${existsDir(modsSrc)?modsSrc:'(introuvable)'} | configSrc: ${existsDir(cfgSrc)?cfgSrc:'(introuvable)'} | resourcepacks: ${existsDir(rpSrc)?rpSrc:'(introuvable)'} `;
       console.log(dbg);
-      if (globalThis.emitPlayProgress) try { globalThis.emitPlayProgress({ line: dbg }); } catch {}
+      progressBus.log(dbg);
     } catch {}
     // Purger/copier mods: avec fallback si pas de dossier mods détecté
     const modsDst = dirs.mods;
@@ -339,13 +338,22 @@ async function syncModpackFromUrl(url, log) {
       return acc;
     };
 
+    // Avant d'écraser mods/ et resourcepacks/: mettre de côté les fichiers déposés par le joueur
+    const prevState = readModpackState();
+    const adopted = adoptPlayerFiles((key) => {
+      if (prevState) return key in prevState.files;
+      // Sans état connu: tout mods/ appartenait au modpack; un pack absent de l'archive est au joueur
+      if (key.startsWith('mods/')) return true;
+      return fs.existsSync(path.join(rpSrc, ...key.split('/').slice(1)));
+    });
+
     let usedJarFallback = false;
     if (fs.existsSync(modsSrc)) {
       try { if (fs.existsSync(modsDst)) fs.rmSync(modsDst, { recursive: true, force: true }); } catch {}
       ensureDir(modsDst);
       copyDir(modsSrc, modsDst);
       log && log('[Modpack] Mods synchronisés');
-      try { if (globalThis.emitPlayProgress) globalThis.emitPlayProgress({ line: `[Modpack] Mods synchronisés` }); } catch {}
+      progressBus.log(`[Modpack] Mods synchronisés`);
     } else {
       // Fallback: scanner toutes les .jar dans l'archive et les copier à la racine mods
       const allJars = listJarFiles(tmp);
@@ -353,7 +361,7 @@ async function syncModpackFromUrl(url, log) {
         usedJarFallback = true;
         const msg = `[Modpack] Aucun dossier mods détecté, fallback: ${allJars.length} fichier(s) .jar trouvé(s)`;
         console.warn(msg);
-        try { if (globalThis.emitPlayProgress) globalThis.emitPlayProgress({ type: 'warn', line: msg }); } catch {}
+        progressBus.log(msg, 'warn');
         try { if (fs.existsSync(modsDst)) fs.rmSync(modsDst, { recursive: true, force: true }); } catch {}
         ensureDir(modsDst);
         for (const src of allJars) {
@@ -361,11 +369,11 @@ async function syncModpackFromUrl(url, log) {
           try { fs.copyFileSync(src, dst); } catch {}
         }
         log && log('[Modpack] Mods synchronisés (fallback jar)');
-        try { if (globalThis.emitPlayProgress) globalThis.emitPlayProgress({ line: `[Modpack] Mods synchronisés (fallback jar)` }); } catch {}
+        progressBus.log(`[Modpack] Mods synchronisés (fallback jar)`);
       } else {
         const warn = '[Modpack] Aucun dossier mods ni .jar détecté dans l\'archive.';
         console.warn(warn);
-        try { if (globalThis.emitPlayProgress) globalThis.emitPlayProgress({ type: 'warn', line: warn }); } catch {}
+        progressBus.log(warn, 'warn');
       }
     }
 
@@ -374,20 +382,35 @@ async function syncModpackFromUrl(url, log) {
       const jars = listJarFiles(modsDst).map(p => path.basename(p)).sort((a,b)=>a.localeCompare(b));
       const header = `[Modpack] ${jars.length} mod(s) détectés`;
       console.log(header);
-      if (globalThis.emitPlayProgress) try { globalThis.emitPlayProgress({ line: header }); } catch {}
+      progressBus.log(header);
       for (const name of jars) {
         const line = `  - ${name}`;
         console.log(line);
-        if (globalThis.emitPlayProgress) try { globalThis.emitPlayProgress({ line }); } catch {}
+        progressBus.log(line);
       }
     } catch {}
-    // Fusionner config (overwrite)
+    // Fusionner config selon les politiques déclarées par le modpack (launcher-policies.json)
+    const configs = { kept: [], merged: [] };
     if (fs.existsSync(cfgSrc)) {
-      const cfgDst = path.join(hiddenBase, 'config');
-      ensureDir(cfgDst);
-      copyDir(cfgSrc, cfgDst);
+      let policies = normalizePolicies(null);
+      for (const candidate of [path.join(path.dirname(cfgSrc), 'launcher-policies.json'), path.join(tmp, 'launcher-policies.json')]) {
+        try {
+          if (fs.existsSync(candidate)) {
+            policies = normalizePolicies(JSON.parse(fs.readFileSync(candidate, 'utf-8')));
+            break;
+          }
+        } catch {}
+      }
+      ensureDir(path.join(hiddenBase, 'config'));
+      for (const rel of listFilesRel(cfgSrc)) {
+        const key = `config/${rel}`;
+        try {
+          const res = applyConfigFile(key, path.join(cfgSrc, ...rel.split('/')), policyFor(policies, key));
+          if (res === 'kept' || res === 'merged') configs[res].push(key);
+        } catch {}
+      }
       log && log('[Modpack] Config synchronisée');
-      try { if (globalThis.emitPlayProgress) globalThis.emitPlayProgress({ line: `[Modpack] Config synchronisée` }); } catch {}
+      progressBus.log(`[Modpack] Config synchronisée`);
     }
     // Synchroniser resourcepacks (overwrite du dossier)
     if (fs.existsSync(rpSrc)) {
@@ -396,23 +419,537 @@ async function syncModpackFromUrl(url, log) {
       ensureDir(rpDst);
       copyDir(rpSrc, rpDst);
       log && log('[Modpack] Resource packs synchronisés');
+      progressBus.log(`[Modpack] Resource packs synchronisés`);
+      // Lister quelques packs copiés
       try {
-        if (globalThis.emitPlayProgress) globalThis.emitPlayProgress({ line: `[Modpack] Resource packs synchronisés` });
-        // Lister quelques packs copiés
-        try {
-          const names = fs.readdirSync(rpDst, { withFileTypes: true })
-            .filter(e => e.isFile() || e.isDirectory())
-            .map(e => e.name);
-          globalThis.emitPlayProgress({ line: `[Modpack] Packs: ${names.slice(0,10).join(', ')}${names.length>10?` (+${names.length-10})`:''}` });
-        } catch {}
+        const names = fs.readdirSync(rpDst, { withFileTypes: true })
+          .filter(e => e.isFile() || e.isDirectory())
+          .map(e => e.name);
+        progressBus.log(`[Modpack] Packs: ${names.slice(0,10).join(', ')}${names.length>10?` (+${names.length-10})`:''}`);
       } catch {}
     }
+    // Mémoriser ce qui appartient au modpack (distingue les fichiers du joueur à la prochaine synchro)
+    {
+      const files = {};
+      const dst = { mods: modsDst, resourcepacks: path.join(hiddenBase, 'resourcepacks') };
+      const overlayApplied = new Set(readOverlayState());
+      for (const root of OVERLAY_ROOTS) {
+        for (const rel of listFilesRel(dst[root])) {
+          if (!overlayApplied.has(`${root}/${rel}`)) files[`${root}/${rel}`] = {};
+        }
+      }
+      if (fs.existsSync(cfgSrc)) {
+        for (const rel of listFilesRel(cfgSrc)) files[`config/${rel}`] = {};
+      }
+      writeModpackState({ version: null, syncedAt: new Date().toISOString(), files });
+    }
     // Nettoyage
     try { fs.rmSync(tmp, { recursive: true, force: true }); } catch {}
+    return { adopted, configs };
   } catch (e) {
+    if (isCancelled(e)) throw e;
     // Non bloquant: on log seulement
-    try { if (globalThis.emitPlayProgress) globalThis.emitPlayProgress({ type: 'error', line: `[Modpack] ${e?.message || e}` }); } catch {}
+    progressBus.log(`[Modpack] ${e?.message || e}`, 'error');
+  }
+}
+
+// ========================
+// Synchronisation incrémentale du modpack via manifest
+// ========================
+// Format attendu:
+// { "version": "…", "files": [ { "path": "mods/foo.jar", "sha1": "…", "size": 1234, "url": "https://…" } ] }
+// Les chemins sont relatifs à hiddenBase et limités à MODPACK_MANAGED_ROOTS.
+const modpackStatePath = path.join(hiddenBase, 'cache', 'modpack-state.json');
+
+// Normalise un chemin du manifest (séparateurs '/'), ou null s'il sort des dossiers gérés
+function normalizeManifestPath(p) {
+  const rel = String(p || '').replace(/\\/g, '/').replace(/^\/+/, '');
+  const parts = rel.split('/');
+  if (!rel || parts.some(s => s === '' || s === '.' || s === '..')) return null;
+  if (parts.length < 2 || !MODPACK_MANAGED_ROOTS.includes(parts[0])) return null;
+  return rel;
+}
+
+// Liste récursive des fichiers d'un dossier (chemins relatifs, séparateur '/')
+function listFilesRel(dir) {
+  const acc = [];
+  const walk = (p, prefix) => {
+    for (const e of fs.readdirSync(p, { withFileTypes: true })) {
+      const rel = prefix ? `${prefix}/${e.name}` : e.name;
+      if (e.isDirectory()) walk(path.join(p, e.name), rel);
+      else if (e.isFile()) acc.push(rel);
+    }
+  };
+  try { if (fs.existsSync(dir)) walk(dir, ''); } catch {}
+  return acc;
+}
+
+// Retourne le manifest normalisé, ou null si aucun manifest n'est publié (404)
+async function fetchModpackManifest(url, signal = null) {
+  const res = await axiosClient.get(url, {
+    responseType: 'json',
+    timeout: 15000,
+    signal,
+    validateStatus: (s) => (s >= 200 && s < 300) || s === 404
+  });
+  if (res.status === 404) return null;
+  let data = res.data;
+  if (typeof data === 'string') data = JSON.parse(data);
+  if (!data || !Array.isArray(data.files)) throw new Error('Manifest de modpack invalide (champ "files" manquant)');
+  const files = [];
+  const seen = new Set();
+  for (const f of data.files) {
+    const rel = normalizeManifestPath(f?.path);
+    if (!rel || !f.url || !/^[0-9a-fA-F]{40}$/.test(String(f.sha1 || ''))) {
+      throw new Error(`Entrée de manifest invalide: ${f?.path || '(sans chemin)'}`);
+    }
+    if (seen.has(rel)) continue;
+    seen.add(rel);
+    files.push({
+      path: rel,
+      url: String(f.url),
+      sha1: String(f.sha1).toLowerCase(),
+      size: typeof f.size === 'number' ? f.size : undefined,
+      policy: CONFIG_POLICIES.includes(f.policy) ? f.policy : undefined
+    });
+  }
+  return { version: data.version ?? null, files, policies: normalizePolicies(data.policies) };
+}
+
+function readModpackState() {
+  try {
+    if (fs.existsSync(modpackStatePath)) {
+      const st = JSON.parse(fs.readFileSync(modpackStatePath, 'utf-8'));
+      if (st && typeof st.files === 'object') return st;
+    }
+  } catch {}
+  return null;
+}
+
+function writeModpackState(state) {
+  try {
+    ensureDir(path.dirname(modpackStatePath));
+    fs.writeFileSync(modpackStatePath, JSON.stringify(state, null, 2));
+  } catch {}
+}
+
+// ========================
+// Fichiers joueur: overlay utilisateur et politiques de config
+// ========================
+// user/mods et user/resourcepacks appartiennent au joueur: la synchro n'y touche jamais
+// et leur contenu est recopié par-dessus le modpack à chaque lancement.
+const userOverlayDir = path.join(hiddenBase, 'user');
+const OVERLAY_ROOTS = ['mods', 'resourcepacks'];
+const overlayStatePath = path.join(hiddenBase, 'cache', 'overlay-state.json');
+// Dernière version serveur de chaque config: base de la fusion à trois voies
+const configBaseDir = path.join(hiddenBase, 'cache', 'config-base');
+// server-enforced: écrasé à chaque synchro | user-wins: le fichier modifié par le joueur est gardé
+// merge: clés .toml/.json fusionnées, les valeurs modifiées par le joueur sont conservées
+const CONFIG_POLICIES = ['server-enforced', 'user-wins', 'merge'];
+
+// Glob simple: * (hors '/'), ** (tout), ? (un caractère)
+function globToRegExp(glob) {
+  const g = String(glob || '').replace(/\\/g, '/');
+  let re = '';
+  for (let i = 0; i < g.length; i++) {
+    const c = g[i];
+    if (c === '*') {
+      if (g[i + 1] === '*') {
+        re += '.*';
+        i++;
+        if (g[i + 1] === '/') i++;
+      } else {
+        re += '[^/]*';
+      }
+    } else if (c === '?') {
+      re += '[^/]';
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`, 'i');
+}
+
+// { "default": "server-enforced", "rules": { "config/xaero/**": "user-wins", "config/*.toml": "merge" } }
+function normalizePolicies(raw) {
+  const out = { default: 'server-enforced', rules: [] };
+  if (!raw || typeof raw !== 'object') return out;
+  if (CONFIG_POLICIES.includes(raw.default)) out.default = raw.default;
+  const rules = raw.rules && typeof raw.rules === 'object' ? raw.rules : {};
+  for (const [glob, policy] of Object.entries(rules)) {
+    if (CONFIG_POLICIES.includes(policy)) out.rules.push({ re: globToRegExp(glob), policy });
+  }
+  return out;
+}
+
+function policyFor(policies, rel) {
+  for (const r of policies?.rules || []) {
+    if (r.re.test(rel)) return r.policy;
+  }
+  return policies?.default || 'server-enforced';
+}
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+// Fusion JSON à trois voies: base = ancienne version serveur, mine = joueur, theirs = nouvelle version serveur
+function mergeJson3(base, mine, theirs) {
+  if (isPlainObject(mine) && isPlainObject(theirs)) {
+    const b = isPlainObject(base) ? base : {};
+    const out = {};
+    for (const k of Object.keys(theirs)) {
+      out[k] = k in mine ? mergeJson3(b[k], mine[k], theirs[k]) : theirs[k];
+    }
+    // Clés ajoutées par le joueur (et non retirées par le serveur)
+    for (const k of Object.keys(mine)) {
+      if (!(k in theirs) && !(k in b)) out[k] = mine[k];
+    }
+    return out;
+  }
+  // Feuille: valeur serveur si le joueur ne l'a pas modifiée depuis la dernière synchro
+  if (base !== undefined && JSON.stringify(mine) === JSON.stringify(base)) return theirs;
+  return mine;
+}
+
+// Valeurs d'un TOML (format Forge: une clé = une ligne). null si le fichier n'est pas géré ligne à ligne.
+function parseTomlValues(text) {
+  const map = new Map();
+  let section = '';
+  for (const line of String(text).split(/\r?\n/)) {
+    const t = line.trim();
+    if (!t || t.startsWith('#')) continue;
+    const sec = t.match(/^\[\[?\s*([^\]]+?)\s*\]\]?$/);
+    if (sec) { section = sec[1]; continue; }
+    const kv = line.match(/^\s*("[^"]*"|[A-Za-z0-9_.-]+)\s*=\s*(.*)$/);
+    if (!kv) return null;
+    const val = kv[2].trim();
+    // Tableaux/chaînes multi-lignes: hors de portée de la fusion ligne à ligne
+    if (val.startsWith('"""') || val.startsWith("'''")) return null;
+    if (val.startsWith('[') && (val.match(/\[/g) || []).length !== (val.match(/\]/g) || []).length) return null;
+    map.set(`${section}\u0000${kv[1]}`, val);
+  }
+  return map;
+}
+
+// Fusion TOML à trois voies: le texte serveur est conservé (commentaires, ordre),
+// seules les valeurs modifiées par le joueur y sont réinjectées.
+function mergeToml3(baseText, mineText, theirsText) {
+  const base = baseText != null ? parseTomlValues(baseText) : new Map();
+  const mine = parseTomlValues(mineText);
+  if (!base || !mine || !parseTomlValues(theirsText)) return null;
+  let section = '';
+  return String(theirsText).split(/(\r?\n)/).map((line) => {
+    if (/^\r?\n$/.test(line)) return line;
+    const t = line.trim();
+    const sec = t.match(/^\[\[?\s*([^\]]+?)\s*\]\]?$/);
+    if (sec) { section = sec[1]; return line; }
+    const kv = line.match(/^(\s*("[^"]*"|[A-Za-z0-9_.-]+)\s*=\s*)(.*)$/);
+    if (!kv || t.startsWith('#')) return line;
+    const key = `${section}\u0000${kv[2]}`;
+    if (!mine.has(key)) return line;
+    const playerChanged = !base.has(key) || base.get(key) !== mine.get(key);
+    return playerChanged ? kv[1] + mine.get(key) : line;
+  }).join('');
+}
+
+// Retourne le texte fusionné, ou null si le format n'est pas fusionnable
+function mergeConfigText(rel, baseText, mineText, theirsText) {
+  const ext = path.extname(rel).toLowerCase();
+  try {
+    if (ext === '.json') {
+      const base = baseText != null ? JSON.parse(baseText) : undefined;
+      const merged = mergeJson3(base, JSON.parse(mineText), JSON.parse(theirsText));
+      return JSON.stringify(merged, null, 2) + '\n';
+    }
+    if (ext === '.toml') return mergeToml3(baseText, mineText, theirsText);
+  } catch {}
+  return null;
+}
+
+// Applique une config serveur sur la copie du joueur selon sa politique.
+// Retourne 'written' | 'unchanged' | 'kept' | 'merged'.
+function applyConfigFile(rel, serverFile, policy) {
+  const live = path.join(hiddenBase, ...rel.split('/'));
+  const basePath = path.join(configBaseDir, ...rel.split('/'));
+  const serverBuf = fs.readFileSync(serverFile);
+  const liveBuf = fs.existsSync(live) ? fs.readFileSync(live) : null;
+  const baseBuf = fs.existsSync(basePath) ? fs.readFileSync(basePath) : null;
+  // Sans base connue, toute différence est attribuée au joueur
+  const playerChanged = !!liveBuf && !liveBuf.equals(baseBuf || serverBuf);
+  let result = 'written';
+  let out = serverBuf;
+  if (liveBuf && liveBuf.equals(serverBuf)) {
+    result = 'unchanged';
+    out = null;
+  } else if (playerChanged && policy === 'user-wins') {
+    result = 'kept';
+    out = null;
+  } else if (playerChanged && policy === 'merge') {
+    const merged = mergeConfigText(rel, baseBuf ? baseBuf.toString('utf8') : null, liveBuf.toString('utf8'), serverBuf.toString('utf8'));
+    if (merged == null) {
+      result = 'kept';
+      out = null;
+    } else {
+      result = 'merged';
+      out = Buffer.from(merged, 'utf8');
+      if (out.equals(liveBuf)) out = null;
+    }
+  }
+  if (out) {
+    ensureDir(path.dirname(live));
+    fs.writeFileSync(live, out);
+  }
+  if (path.resolve(serverFile) !== path.resolve(basePath)) {
+    ensureDir(path.dirname(basePath));
+    fs.writeFileSync(basePath, serverBuf);
+  }
+  return result;
+}
+
+function readOverlayState() {
+  try {
+    if (fs.existsSync(overlayStatePath)) {
+      const st = JSON.parse(fs.readFileSync(overlayStatePath, 'utf-8'));
+      if (Array.isArray(st?.files)) return st.files;
+    }
+  } catch {}
+  return [];
+}
+
+function writeOverlayState(files) {
+  try {
+    ensureDir(path.dirname(overlayStatePath));
+    fs.writeFileSync(overlayStatePath, JSON.stringify({ files }, null, 2));
+  } catch {}
+}
+
+// Fichiers de mods/ ou resourcepacks/ déposés à la main (ni modpack, ni overlay):
+// déplacés dans user/ pour survivre à la synchro. isManaged(key) dit si un fichier appartient au modpack.
+function adoptPlayerFiles(isManaged) {
+  const overlayApplied = new Set(readOverlayState());
+  const adopted = [];
+  for (const root of OVERLAY_ROOTS) {
+    for (const rel of listFilesRel(path.join(hiddenBase, root))) {
+      const key = `${root}/${rel}`;
+      if (overlayApplied.has(key) || isManaged(key)) continue;
+      const src = path.join(hiddenBase, root, ...rel.split('/'));
+      const dst = path.join(userOverlayDir, root, ...rel.split('/'));
+      try {
+        ensureDir(path.dirname(dst));
+        if (!fs.existsSync(dst)) {
+          try { fs.renameSync(src, dst); }
+          catch { fs.copyFileSync(src, dst); }
+        }
+        adopted.push(key);
+      } catch {}
+    }
+  }
+  return adopted;
+}
+
+// Recopie user/mods et user/resourcepacks par-dessus le modpack.
+// En cas de conflit de nom, le fichier du modpack est prioritaire.
+function applyUserOverlay() {
+  const managed = new Set(Object.keys(readModpackState()?.files || {}));
+  const prevApplied = readOverlayState();
+  const applied = [];
+  const conflicts = [];
+  for (const root of OVERLAY_ROOTS) {
+    for (const rel of listFilesRel(path.join(userOverlayDir, root))) {
+      const key = `${root}/${rel}`;
+      if (managed.has(key)) { conflicts.push(key); continue; }
+      const src = path.join(userOverlayDir, root, ...rel.split('/'));
+      const dst = path.join(hiddenBase, root, ...rel.split('/'));
+      try {
+        const s = fs.statSync(src);
+        let d = null;
+        try { d = fs.statSync(dst); } catch {}
+        if (!d || d.size !== s.size || d.mtimeMs !== s.mtimeMs) {
+          ensureDir(path.dirname(dst));
+          fs.copyFileSync(src, dst);
+          try { fs.utimesSync(dst, s.atime, s.mtime); } catch {}
+        }
+        applied.push(key);
+      } catch {}
+    }
+  }
+  // Retirer les copies dont l'original a été supprimé de user/
+  const now = new Set(applied);
+  for (const key of prevApplied) {
+    if (now.has(key) || managed.has(key)) continue;
+    try { fs.unlinkSync(path.join(hiddenBase, ...key.split('/'))); } catch {}
+  }
+  writeOverlayState(applied);
+  return { applied, conflicts };
+}
+
+// Diff manifest ↔ fichiers locaux: ne télécharge que les fichiers nouveaux/modifiés
+// et ne supprime que ceux installés par une synchro précédente et absents du manifest.
+// Les configs sont téléchargées comme base serveur puis appliquées selon leur politique.
+// Annulé (signal), rien n'est supprimé et l'état n'est pas réécrit: la prochaine synchro reprend les fichiers déjà valides.
+async function syncModpackFromManifest(manifest, log, signal = null) {
+  const emit = (line, severity = 'info') => progressBus.log(line, severity);
+  const prev = readModpackState();
+  const prevFiles = Object.assign({}, prev?.files || {});
+  if (!prev) {
+    // Première synchro par manifest: l'ancien flux ZIP possédait tout mods/
+    for (const rel of listFilesRel(dirs.mods)) {
+      if (!prevFiles[`mods/${rel}`]) prevFiles[`mods/${rel}`] = {};
+    }
+  }
+  const adopted = adoptPlayerFiles((key) => key in prevFiles);
+
+  const isConfig = (rel) => rel.startsWith('config/');
+  const toLocal = (rel) => path.join(hiddenBase, ...rel.split('/'));
+  const toBase = (rel) => path.join(configBaseDir, ...rel.split('/'));
+  // Les configs sont comparées à leur base serveur, pas à la copie (peut-être modifiée) du joueur
+  const targetOf = (rel) => (isConfig(rel) ? toBase(rel) : toLocal(rel));
+  const nextFiles = {};
+  const toFetch = [];
+  const configs = { kept: [], merged: [] };
+  const applyConfig = (f, serverFile) => {
+    const res = applyConfigFile(f.path, serverFile, f.policy || policyFor(manifest.policies, f.path));
+    if (res === 'kept' || res === 'merged') configs[res].push(f.path);
+  };
+  for (const f of manifest.files) {
+    const dest = targetOf(f.path);
+    let st = null;
+    try { st = fs.statSync(dest); } catch {}
+    const known = prevFiles[f.path];
+    // Raccourci: fichier inchangé depuis la dernière synchro (taille + mtime) → pas de re-hash
+    const unchanged = st && st.isFile() && known && known.sha1 === f.sha1
+      && known.size === st.size && known.mtimeMs === st.mtimeMs;
+    if (unchanged || (st && await isFileIntact(dest, f))) {
+      nextFiles[f.path] = { sha1: f.sha1, size: st.size, mtimeMs: st.mtimeMs };
+      if (isConfig(f.path)) {
+        try { applyConfig(f, dest); } catch {}
+      }
+    } else {
+      toFetch.push(f);
+    }
+  }
+  const wanted = new Set(manifest.files.map(f => f.path));
+  const toDelete = Object.keys(prevFiles).filter(rel => !wanted.has(rel) && normalizeManifestPath(rel));
+
+  const fetchBytes = toFetch.reduce((n, f) => n + (f.size || 0), 0);
+  const summary = `[Modpack] Manifest${manifest.version ? ` ${manifest.version}` : ''}: ${manifest.files.length} fichier(s), ${toFetch.length} à télécharger (${Math.round(fetchBytes / 1024)} Ko), ${toDelete.length} à supprimer`;
+  log && log(summary);
+  emit(summary);
+
+  // Téléchargements concurrents (peu de fichiers, mais parfois volumineux)
+  const CONCURRENCY = 4;
+  let cursor = 0;
+  let done = 0;
+  const failed = [];
+  const stagingDir = path.join(hiddenBase, 'cache', 'config-next');
+  const dlOpts = { signal };
+  const worker = async () => {
+    while (true) {
+      if (signal && signal.aborted) return;
+      const i = cursor++;
+      if (i >= toFetch.length) return;
+      const f = toFetch[i];
+      try {
+        if (isConfig(f.path)) {
+          // Téléchargée à part: l'ancienne base sert encore à la fusion
+          const staged = path.join(stagingDir, ...f.path.split('/'));
+          ensureDir(path.dirname(staged));
+          await fetchWithFallback([f.url], staged, `modpack ${f.path}`, false, f, dlOpts);
+          applyConfig(f, staged);
+          try { fs.unlinkSync(staged); } catch {}
+        } else {
+          const dest = toLocal(f.path);
+          ensureDir(path.dirname(dest));
+          await fetchWithFallback([f.url], dest, `modpack ${f.path}`, false, f, dlOpts);
+        }
+        const st = fs.statSync(targetOf(f.path));
+        nextFiles[f.path] = { sha1: f.sha1, size: st.size, mtimeMs: st.mtimeMs };
+        done += 1;
+        emit(`[Modpack] ${done}/${toFetch.length} ${f.path}`);
+      } catch (e) {
+        if (isCancelled(e)) return;
+        failed.push(f.path);
+        emit(`[Modpack] Échec ${f.path}: ${e?.message || e}`, 'warn');
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, Math.max(1, toFetch.length)) }, () => worker()));
+  try { fs.rmSync(stagingDir, { recursive: true, force: true }); } catch {}
+  throwIfCancelled(signal);
+
+  let deleted = 0;
+  for (const rel of toDelete) {
+    try {
+      // Une config retirée du modpack reste au joueur: seule la base serveur disparaît
+      const p = isConfig(rel) ? toBase(rel) : toLocal(rel);
+      if (fs.existsSync(p)) { fs.unlinkSync(p); deleted += 1; }
+      emit(`[Modpack] Supprimé: ${rel}`);
+    } catch (e) {
+      emit(`[Modpack] Suppression impossible ${rel}: ${e?.message || e}`, 'warn');
+    }
+  }
+
+  writeModpackState({ version: manifest.version, syncedAt: new Date().toISOString(), files: nextFiles });
+  const end = `[Modpack] Synchronisé: ${done} téléchargé(s), ${deleted} supprimé(s), ${manifest.files.length - toFetch.length} à jour${failed.length ? `, ${failed.length} en échec` : ''}`;
+  log && log(end);
+  emit(end, failed.length ? 'warn' : undefined);
+  return { mode: 'manifest', downloaded: done, deleted, failed, adopted, configs };
+}
+
+// Résumé des fichiers du joueur préservés par la synchro
+function reportPlayerFiles(res, overlay, log) {
+  const kept = {
+    adopted: res?.adopted || [],
+    overlay: overlay?.applied || [],
+    configs: [...(res?.configs?.kept || []), ...(res?.configs?.merged || [])],
+    conflicts: overlay?.conflicts || []
+  };
+  const lines = [];
+  if (kept.adopted.length) lines.push({ line: `[Modpack] Fichiers perso déplacés dans user/: ${kept.adopted.join(', ')}` });
+  if (kept.overlay.length) lines.push({ line: `[Modpack] Overlay joueur appliqué: ${kept.overlay.join(', ')}` });
+  if (kept.configs.length) lines.push({ line: `[Modpack] Configs joueur conservées: ${kept.configs.join(', ')}` });
+  if (kept.conflicts.length) lines.push({ severity: 'warn', line: `[Modpack] Ignorés (remplacés par le modpack): ${kept.conflicts.join(', ')}` });
+  for (const evt of lines) {
+    log && log(evt.line);
+    progressBus.log(evt.line, evt.severity || 'info');
+  }
+  // Détail complet (pour le journal sur disque)
+  progressBus.log('[Modpack] Fichiers du joueur préservés', 'debug', { kept });
+  return kept;
+}
+
+// Point d'entrée: manifest si publié, sinon archive ZIP complète (ancien flux).
+// source: { manifestUrl, zipUrl } du serveur sélectionné, à défaut le modpack Eminium.
+// signal: annulation de la synchro (seule erreur propagée, les autres restent non bloquantes)
+async function syncModpack(log, source = null, signal = null) {
+  const manifestUrl = source?.manifestUrl || (source?.zipUrl ? null : MODPACK_MANIFEST_URL);
+  const zipUrl = source?.zipUrl || MODPACK_URL;
+  let manifest = null;
+  try {
+    if (manifestUrl) manifest = await fetchModpackManifest(manifestUrl, signal);
+  } catch (e) {
+    if (isCancelled(e)) throw e;
+    const msg = `[Modpack] Manifest illisible (${e?.message || e}), repli sur l'archive ZIP`;
+    console.warn(msg);
+    progressBus.log(msg, 'warn');
+  }
+  let res;
+  if (manifest) {
+    try {
+      res = await syncModpackFromManifest(manifest, log, signal);
+    } catch (e) {
+      if (isCancelled(e)) throw e;
+      // Non bloquant, comme le flux ZIP
+      progressBus.log(`[Modpack] ${e?.message || e}`, 'error');
+      res = { mode: 'manifest', error: e?.message || String(e) };
+    }
+  } else {
+    log && log('[Modpack] Aucun manifest publié, synchronisation via l\'archive ZIP');
+    res = Object.assign({ mode: 'zip' }, await syncModpackFromUrl(zipUrl, log, signal));
   }
+  let overlay = { applied: [], conflicts: [] };
+  try { overlay = applyUserOverlay(); } catch {}
+  const kept = reportPlayerFiles(res, overlay, log);
+  return Object.assign({}, res, { kept });
 }
 
 function forgeInstallerUrl(mc, forge) {
@@ -425,7 +962,8 @@ function forgeInstallerUrl(mc, forge) {
   ];
 }
 
-async function ensureForgeInstaller(mc, forge) {
+// scheduler optionnel: le téléchargement passe par la file commune (downloadScheduler.js)
+async function ensureForgeInstaller(mc, forge, scheduler = null) {
   const cacheDir = path.join(hiddenBase, 'cache');
   ensureDir(cacheDir);
   const dest = path.join(cacheDir, `forge-${mc}-${forge}-installer.jar`);
@@ -450,23 +988,24 @@ async function ensureForgeInstaller(mc, forge) {
     if (isValidZip(dest)) return dest;
     try { fs.unlinkSync(dest); } catch {}
   }
-  const urls = forgeInstallerUrl(mc, forge);
-  let lastErr;
-  for (const url of urls) {
-    try {
-      await aSYNC_GET(url, dest);
-      if (fs.existsSync(dest)) {
-        if (isValidZip(dest)) return dest;
-        // Corrupted download → delete and try next mirror
-        try { fs.unlinkSync(dest); } catch {}
-        lastErr = new Error('Forge installer corrompu (zip invalide)');
-        continue;
+  const download = async (reporter) => {
+    const urls = rankMirrors(forgeInstallerUrl(mc, forge));
+    const dlOpts = reporter ? { onProgress: reporter.onProgress, throttle: reporter.throttle, signal: reporter.signal } : {};
+    let lastErr;
+    for (const url of urls) {
+      try {
+        // Corrupted download → deleted by aSYNC_GET, try next mirror
+        await aSYNC_GET(url, dest, Object.assign({}, dlOpts, { verify: (file) => (isValidZip(file) ? null : 'installeur Forge corrompu (zip invalide)') }));
+        if (fs.existsSync(dest)) return dest;
+      } catch (e) {
+        if (isCancelled(e)) throw e;
+        lastErr = e;
       }
-    } catch (e) {
-      lastErr = e;
     }
-  }
-  throw new Error(`Impossible de télécharger l'installeur Forge ${mc}-${forge}: ${lastErr?.message || lastErr}`);
+    throw new Error(`Impossible de télécharger l'installeur Forge ${mc}-${forge}: ${lastErr?.message || lastErr}`);
+  };
+  // Taille inconnue d'avance: ajoutée au total dès la réception des en-têtes
+  return scheduler ? scheduler.schedule({ size: 0, run: download }) : download();
 }
 
 // Client Axios keep-alive pour accélérer les téléchargements
@@ -482,82 +1021,69 @@ const axiosClient = axios.create({
 });
 
 // Téléchargement utilitaire
-aSYNC_GET = async function(url, dest) {
+// Téléchargement reprenable (Range + If-Range) avec backoff exponentiel: voir resumableDownload.js.
+// opts.onProgress(received, total), opts.throttle(bytes) et opts.signal (annulation) optionnels.
+// opts.verify(dest) optionnel: retourne la raison du rejet (fichier supprimé, miroir pénalisé) ou null; le succès
+// du miroir n'est compté qu'une fois le contenu vérifié. L'erreur levée porte alors rejectedReason.
+aSYNC_GET = async function(url, dest, opts = {}) {
   const dir = path.dirname(dest);
   ensureDir(dir);
   // Try to make sure directory is writable
   try { fs.chmodSync(dir, 0o700); } catch {}
-
-  const attemptWrite = async () => {
-    // Clean destination if it exists with the wrong type
-    try {
-      if (fs.existsSync(dest)) {
-        const st = fs.lstatSync(dest);
-        if (st.isDirectory()) {
-          try { fs.rmSync(dest, { recursive: true, force: true }); } catch {}
-        } else {
-          try { fs.unlinkSync(dest); } catch {}
-        }
-      }
-    } catch {}
-
-    const tmp = dest + '.tmp-download';
-    // Clean temp if present
-    try {
-      if (fs.existsSync(tmp)) {
-        const st = fs.lstatSync(tmp);
-        if (st.isDirectory()) { try { fs.rmSync(tmp, { recursive: true, force: true }); } catch {} }
-        else { try { fs.unlinkSync(tmp); } catch {} }
-      }
-    } catch {}
-
-    const res = await axiosClient({ url, method: 'GET', responseType: 'stream' });
-    await new Promise((resolve, reject) => {
-      const writer = fs.createWriteStream(tmp);
-      res.data.pipe(writer);
-      writer.on('finish', resolve);
-      writer.on('error', reject);
-    });
-    // Validate and move into place atomically if possible
-    const stat = fs.existsSync(tmp) ? fs.statSync(tmp) : null;
-    if (!stat || stat.size === 0) {
-      try { fs.unlinkSync(tmp); } catch {}
-      throw new Error(`Empty download for ${url}`);
-    }
-    // Ensure parent dir still exists and is writable
-    ensureDir(dir);
-    try { fs.chmodSync(dir, 0o700); } catch {}
-    try {
-      fs.renameSync(tmp, dest);
-    } catch (e) {
-      // As a fallback copy and then remove tmp
-      try {
-        const data = fs.readFileSync(tmp);
-        fs.writeFileSync(dest, data);
-        try { fs.unlinkSync(tmp); } catch {}
-      } catch (e2) {
-        try { fs.unlinkSync(tmp); } catch {}
-        throw e2;
-      }
-    }
+  // Clean destination if it exists as a directory
+  try {
+    if (fs.existsSync(dest) && fs.lstatSync(dest).isDirectory()) fs.rmSync(dest, { recursive: true, force: true });
+  } catch {}
+  // Mesures par hôte pour le classement des miroirs (mirrorHealth.js)
+  const startedAt = Date.now();
+  let headersAt = 0;
+  let startOffset = 0;
+  const onProgress = (received, total) => {
+    if (!headersAt) { headersAt = Date.now(); startOffset = received; }
+    if (opts.onProgress) opts.onProgress(received, total);
   };
-
-  // Retry a couple of times to get past transient EPERM/locks
-  let lastErr;
-  for (let i = 0; i < 3; i++) {
-    try {
-      await attemptWrite();
-      return;
-    } catch (e) {
-      lastErr = e;
-      // Try to relax attributes and wait a bit on Windows locks
-      try { fs.chmodSync(dir, 0o700); } catch {}
-      await new Promise(r => setTimeout(r, 200 + i * 150));
-    }
+  let measure;
+  try {
+    const { size } = await downloadResumable(axiosClient, url, dest, Object.assign({}, opts, { onProgress }));
+    const doneAt = Date.now();
+    measure = {
+      latencyMs: (headersAt || doneAt) - startedAt,
+      bytes: size - startOffset,
+      transferMs: doneAt - (headersAt || startedAt)
+    };
+  } catch (e) {
+    // Une annulation ne dit rien de la santé du miroir
+    if (!isCancelled(e)) recordFailure(url, e);
+    throw e;
+  }
+  const reason = opts.verify ? await opts.verify(dest) : null;
+  if (reason) {
+    try { fs.unlinkSync(dest); } catch {}
+    recordRejected(url, reason);
+    throw Object.assign(new Error(`Contenu rejeté depuis ${url}: ${reason}`), { rejectedReason: reason });
   }
-  throw lastErr || new Error(`Failed to download to ${dest}`);
+  recordSuccess(url, measure);
 };
 
+// File de téléchargement d'une préparation du jeu; la progression agrégée (octets) alimente l'étape 'download'.
+// options: { downloadConcurrency, downloadLimitKBs (0 = illimité) } issus des paramètres du launcher, signal d'annulation.
+function createGameDownloadScheduler({ downloadConcurrency, downloadLimitKBs, signal } = {}) {
+  return createDownloadScheduler({
+    signal,
+    concurrency: downloadConcurrency,
+    bandwidthBytesPerSec: (Number(downloadLimitKBs) || 0) * 1024,
+    onProgress: (snap) => {
+      progressBus.progress(snap.bytesDone, snap.bytesTotal, {
+        unit: 'bytes',
+        speed: snap.speed,
+        eta: snap.eta,
+        filesDone: snap.filesDone,
+        filesTotal: snap.filesTotal
+      });
+    }
+  });
+}
+
 // ========================
 // Préparation offline via BMCL (avec overrides)
 // ========================
@@ -637,6 +1163,36 @@ const BMCL = {
   }
 };
 
+// Empreinte SHA-1 d'un fichier (lecture en flux pour ne pas charger les gros jars en mémoire)
+function sha1File(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha1');
+    const rs = fs.createReadStream(file);
+    rs.on('error', reject);
+    rs.on('data', (chunk) => hash.update(chunk));
+    rs.on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Vérifie un fichier contre la taille/empreinte annoncées (JSON de version, index d'assets).
+// Sans métadonnées, seule la présence du fichier est vérifiée.
+async function isFileIntact(file, expected) {
+  try {
+    if (!fs.existsSync(file)) return false;
+    const st = fs.statSync(file);
+    if (!st.isFile()) return false;
+    const { sha1, size } = expected || {};
+    if (typeof size === 'number' && st.size !== size) return false;
+    if (sha1) {
+      const actual = await sha1File(file);
+      if (actual.toLowerCase() !== String(sha1).toLowerCase()) return false;
+    }
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 function libPathFromUrl(url) {
   // .../maven/group/artifact/version/artifact-version(-classifier).jar -> libraries/group/artifact/version/...
   const idx = url.indexOf('/maven/');
@@ -644,7 +1200,8 @@ function libPathFromUrl(url) {
   return path.join(dirs.libraries, rel.replace(/\//g, path.sep));
 }
 
-async function ensureVersionFilesBMCL(mcVersion, log) {
+// Client, index, assets et librairies passent par une seule file (scheduler), avec une progression en octets.
+async function ensureVersionFilesBMCL(mcVersion, log, scheduler = null) {
   ensureDir(dirs.versions);
   const vDir = path.join(dirs.versions, mcVersion);
   ensureDir(vDir);
@@ -664,13 +1221,16 @@ async function ensureVersionFilesBMCL(mcVersion, log) {
     }
   } catch {}
 
+  const sched = scheduler || createDownloadScheduler();
+  const signal = sched.signal;
   if (!fs.existsSync(vJsonPath)) {
     log && log(`[BMCL] Téléchargement JSON ${mcVersion}`);
     try {
-      await fetchWithFallback(BMCL.versionJson(mcVersion), vJsonPath, `version ${mcVersion} json`);
+      await fetchWithFallback(BMCL.versionJson(mcVersion), vJsonPath, `version ${mcVersion} json`, false, null, { signal });
     } catch (e) {
+      if (isCancelled(e)) throw e;
       // Fallback via manifest if direct endpoints fail
-      await tryFetchVersionJsonViaManifest(mcVersion, vJsonPath, log);
+      await tryFetchVersionJsonViaManifest(mcVersion, vJsonPath, log, signal);
     }
   }
   let vJsonRaw = '';
@@ -683,109 +1243,36 @@ async function ensureVersionFilesBMCL(mcVersion, log) {
     // Supprimer le fichier corrompu et retenter via manifest
     try { fs.unlinkSync(vJsonPath); } catch {}
     try {
-      await fetchWithFallback(BMCL.versionJson(mcVersion), vJsonPath, `version ${mcVersion} json (retry)`);
-    } catch {
-      await tryFetchVersionJsonViaManifest(mcVersion, vJsonPath, log);
+      await fetchWithFallback(BMCL.versionJson(mcVersion), vJsonPath, `version ${mcVersion} json (retry)`, false, null, { signal });
+    } catch (e2) {
+      if (isCancelled(e2)) throw e2;
+      await tryFetchVersionJsonViaManifest(mcVersion, vJsonPath, log, signal);
     }
     vJsonRaw = fs.readFileSync(vJsonPath, 'utf-8');
     vJson = JSON.parse(vJsonRaw);
   }
 
-  if (!fs.existsSync(vJarPath)) {
-    log && log(`[DL] Téléchargement client.jar ${mcVersion}`);
-    // Prefer official Mojang URL from version JSON if available, then fall back to BMCL mirror
-    const clientUrls = [];
-    try {
-      const u = vJson?.downloads?.client?.url;
-      if (u) clientUrls.push(u);
-    } catch {}
-    const fallbacks = BMCL.clientJar(mcVersion);
-    await fetchWithFallback([...clientUrls, ...fallbacks], vJarPath, `client jar ${mcVersion}`);
-  }
-
-  // Assets index
-  ensureDir(path.join(dirs.assets, 'indexes'));
-  const assetsId = vJson?.assets || vJson?.assetIndex?.id;
-  if (assetsId) {
-    const idxPath = path.join(dirs.assets, 'indexes', `${assetsId}.json`);
-    // If idxPath exists but is a directory, clean it so we can write/read a file
-    try {
-      if (fs.existsSync(idxPath)) {
-        const st = fs.lstatSync(idxPath);
-        if (st.isDirectory()) {
-          try { fs.rmSync(idxPath, { recursive: true, force: true }); } catch {}
-        }
-      }
-    } catch {}
-    if (!fs.existsSync(idxPath)) {
-      log && log(`[DL] Téléchargement assets index ${assetsId}`);
-      // Prefer the direct Mojang URL from version JSON, then fall back to BMCL mirror
-      const idxUrls = [];
-      if (vJson?.assetIndex?.url) idxUrls.push(vJson.assetIndex.url);
-      const bmclIdx = BMCL.assetsIndex(assetsId);
-      await fetchWithFallback([...idxUrls, ...bmclIdx], idxPath, `assets index ${assetsId}`);
+  // Nombre de fichiers re-téléchargés car présents mais altérés, ou servis altérés par un miroir
+  let refetched = 0;
+  // Télécharge dest s'il est absent ou si sa taille/empreinte ne correspond pas au JSON.
+  // Retourne true si un téléchargement a eu lieu.
+  const ensureVerified = async (urls, dest, label, expected, validateJar = false, reporter = null) => {
+    const present = fs.existsSync(dest);
+    if (present && await isFileIntact(dest, expected)) {
+      if (reporter) reporter.skip();
+      return false;
     }
-    // Assets objects
-    let idxJsonRaw = '';
-    let idxJson;
-    try {
-      idxJsonRaw = fs.readFileSync(idxPath, 'utf-8');
-      idxJson = JSON.parse(idxJsonRaw);
-    } catch (e) {
-      log && log(`[DL] Index d'assets corrompu, nouvel essai...`);
-      try { fs.unlinkSync(idxPath); } catch {}
-      {
-        const idxUrls = [];
-        if (vJson?.assetIndex?.url) idxUrls.push(vJson.assetIndex.url);
-        const bmclIdx = BMCL.assetsIndex(assetsId);
-        await fetchWithFallback([...idxUrls, ...bmclIdx], idxPath, `assets index ${assetsId} (retry)`);
-      }
-      idxJsonRaw = fs.readFileSync(idxPath, 'utf-8');
-      idxJson = JSON.parse(idxJsonRaw);
+    if (present) {
+      try { fs.unlinkSync(dest); } catch {}
     }
-    const objects = idxJson.objects || {};
-    ensureDir(path.join(dirs.assets, 'objects'));
-    const entries = Object.entries(objects);
-    const total = entries.length;
-    let processed = 0;
-
-    // Téléchargement concurrent contrôlé
-    const CONCURRENCY = 12;
-    let cursor = 0;
-
-    const worker = async () => {
-      while (true) {
-        const i = cursor++;
-        if (i >= entries.length) return;
-        const obj = entries[i][1];
-        const hash = obj.hash;
-        const sub = hash.slice(0,2);
-        const destDir = path.join(dirs.assets, 'objects', sub);
-        ensureDir(destDir);
-        const dest = path.join(destDir, hash);
-        // Télécharger si absent
-        let didDownload = false;
-        if (!fs.existsSync(dest)) {
-          await fetchWithFallback(BMCL.assetObj(hash), dest, `asset ${hash}`);
-          didDownload = true;
-        }
-        // Marquer comme complété et émettre une progression monotone
-        processed += 1;
-        // N'émettre une ligne texte que si un téléchargement a réellement eu lieu
-        if (didDownload) {
-          log && log(`[BMCL] Asset ${processed}/${total} ${hash}`);
-        }
-        try {
-          if (globalThis.emitPlayProgress) {
-            globalThis.emitPlayProgress({ type: 'asset', current: processed, total, hash });
-          }
-        } catch {}
-      }
-    };
-
-    const workers = Array.from({ length: Math.min(CONCURRENCY, Math.max(1, total)) }, () => worker());
-    await Promise.all(workers);
-  }
+    const dlOpts = reporter ? { onProgress: reporter.onProgress, throttle: reporter.throttle, signal } : { signal };
+    const res = await fetchWithFallback(urls, dest, label, validateJar, expected, dlOpts);
+    if (present || (res && res.rejected > 0)) {
+      refetched += 1;
+      log && log(`[BMCL] Re-téléchargé (empreinte invalide): ${label}`);
+    }
+    return true;
+  };
 
   // Helper: validate a jar file
   const isValidJar = (file) => {
@@ -802,79 +1289,196 @@ async function ensureVersionFilesBMCL(mcVersion, log) {
     }
   };
 
-  // Libraries (artifact + classifiers): affichage 1 à 1
+  // Libraries (artifact + classifiers)
   ensureDir(dirs.libraries);
   const libs = vJson?.libraries || [];
-  // Construire la liste des éléments à télécharger (manquants)
+  // Construire la liste complète: les fichiers présents sont aussi vérifiés (SHA-1)
   const libItems = [];
+  const pushLib = (kind, dl) => {
+    if (!dl || !dl.url || !dl.path) return;
+    const dest = path.join(dirs.libraries, dl.path.replace(/\//g, path.sep));
+    libItems.push({ kind, pathPart: dl.path, dest, expected: { sha1: dl.sha1, size: dl.size } });
+  };
   for (const lib of libs) {
-    const art = lib.downloads?.artifact;
-    if (art && art.url && art.path) {
-      const dest = path.join(dirs.libraries, art.path.replace(/\//g, path.sep));
-      const need = !fs.existsSync(dest) || !isValidJar(dest);
-      if (need) {
-        libItems.push({ kind: 'library', pathPart: art.path, dest });
-      }
-    }
+    pushLib('library', lib.downloads?.artifact);
     const classifiers = lib.downloads?.classifiers || {};
-    for (const key of Object.keys(classifiers)) {
-      const clf = classifiers[key];
-      if (clf && clf.path && clf.url) {
-        const dest = path.join(dirs.libraries, clf.path.replace(/\//g, path.sep));
-        const need = !fs.existsSync(dest) || !isValidJar(dest);
-        if (need) {
-          libItems.push({ kind: 'classifier', pathPart: clf.path, dest });
-        }
-      }
-    }
+    for (const key of Object.keys(classifiers)) pushLib('classifier', classifiers[key]);
   }
-  const totalLibs = libItems.length;
-  let doneLibs = 0;
-  for (const item of libItems) {
-    ensureDir(path.dirname(item.dest));
-    const urls = BMCL.maven(item.pathPart);
-    // Télécharger uniquement si manquant (sécurité en cas de courses simultanées)
-    const shouldFetch = !fs.existsSync(item.dest) || !isValidJar(item.dest);
-    if (shouldFetch) {
-      await fetchWithFallback(urls, item.dest, `${item.kind} ${item.pathPart}`, true);
-      // Log + événement UI pour chaque téléchargement effectif
-      doneLibs += 1;
-      log && log(`[BMCL] ${item.kind === 'library' ? 'Librairie' : 'Classifier'} ${doneLibs}/${totalLibs} ${item.pathPart}`);
-    } else {
-      doneLibs += 1;
-    }
+
+  // Total en octets connu dès le JSON de version (client, index, assets, librairies): la barre ne recule pas
+  const client = vJson?.downloads?.client || {};
+  const assetsId = vJson?.assets || vJson?.assetIndex?.id;
+  const assetsTotalKnown = !!assetsId && vJson?.assetIndex?.id === assetsId && Number(vJson.assetIndex.totalSize) > 0;
+  sched.expect((client.size || 0)
+    + (vJson?.assetIndex?.size || 0)
+    + (assetsTotalKnown ? vJson.assetIndex.totalSize : 0)
+    + libItems.reduce((n, item) => n + (item.expected.size || 0), 0));
+
+  // L'index d'assets passe en premier: la liste des objets en dépend
+  ensureDir(path.join(dirs.assets, 'indexes'));
+  const idxPath = assetsId ? path.join(dirs.assets, 'indexes', `${assetsId}.json`) : null;
+  // L'empreinte de l'index n'est fiable que s'il correspond à l'id annoncé par le JSON
+  const idxExpected = assetsId && vJson?.assetIndex?.id === assetsId
+    ? { sha1: vJson.assetIndex.sha1, size: vJson.assetIndex.size }
+    : null;
+  let indexTask = null;
+  if (assetsId) {
+    // If idxPath exists but is a directory, clean it so we can write/read a file
     try {
-      if (globalThis.emitPlayProgress) {
-        globalThis.emitPlayProgress({ type: 'library', current: doneLibs, total: totalLibs, path: item.pathPart, kind: item.kind });
+      if (fs.existsSync(idxPath)) {
+        const st = fs.lstatSync(idxPath);
+        if (st.isDirectory()) {
+          try { fs.rmSync(idxPath, { recursive: true, force: true }); } catch {}
+        }
       }
     } catch {}
+    if (!fs.existsSync(idxPath)) log && log(`[DL] Téléchargement assets index ${assetsId}`);
+    // Prefer the direct Mojang URL from version JSON, then fall back to BMCL mirror
+    const idxUrls = [];
+    if (vJson?.assetIndex?.url) idxUrls.push(vJson.assetIndex.url);
+    const bmclIdx = BMCL.assetsIndex(assetsId);
+    indexTask = sched.schedule({
+      size: vJson?.assetIndex?.size,
+      reserved: true,
+      run: (reporter) => ensureVerified([...idxUrls, ...bmclIdx], idxPath, `assets index ${assetsId}`, idxExpected, false, reporter)
+    });
   }
 
-  return { vJsonPath };
+  {
+    // Prefer official Mojang URL from version JSON if available, then fall back to BMCL mirror
+    const clientUrls = [];
+    if (client.url) clientUrls.push(client.url);
+    const fallbacks = BMCL.clientJar(mcVersion);
+    if (!fs.existsSync(vJarPath)) log && log(`[DL] Téléchargement client.jar ${mcVersion}`);
+    sched.schedule({
+      size: client.size,
+      reserved: true,
+      run: (reporter) => ensureVerified([...clientUrls, ...fallbacks], vJarPath, `client jar ${mcVersion}`, { sha1: client.sha1, size: client.size }, false, reporter)
+    });
+  }
+
+  // Librairies: en parallèle avec le client et les assets
+  const totalLibs = libItems.length;
+  let doneLibs = 0;
+  for (const item of libItems) {
+    sched.schedule({
+      size: item.expected.size,
+      reserved: true,
+      run: async (reporter) => {
+        ensureDir(path.dirname(item.dest));
+        const urls = BMCL.maven(item.pathPart);
+        // Sans SHA-1 dans le JSON, on retombe sur la validation structurelle du jar
+        if (!item.expected.sha1 && fs.existsSync(item.dest) && !isValidJar(item.dest)) {
+          try { fs.unlinkSync(item.dest); } catch {}
+        }
+        const didDownload = await ensureVerified(urls, item.dest, `${item.kind} ${item.pathPart}`, item.expected, true, reporter);
+        doneLibs += 1;
+        if (didDownload) {
+          // Une ligne par téléchargement effectif; la barre suit les octets (scheduler)
+          log && log(`[BMCL] ${item.kind === 'library' ? 'Librairie' : 'Classifier'} ${doneLibs}/${totalLibs} ${item.pathPart}`);
+        }
+      }
+    });
+  }
+
+  try {
+    if (assetsId) {
+      await indexTask;
+      // Assets objects
+      let idxJsonRaw = '';
+      let idxJson;
+      try {
+        idxJsonRaw = fs.readFileSync(idxPath, 'utf-8');
+        idxJson = JSON.parse(idxJsonRaw);
+      } catch (e) {
+        log && log(`[DL] Index d'assets corrompu, nouvel essai...`);
+        try { fs.unlinkSync(idxPath); } catch {}
+        {
+          const idxUrls = [];
+          if (vJson?.assetIndex?.url) idxUrls.push(vJson.assetIndex.url);
+          const bmclIdx = BMCL.assetsIndex(assetsId);
+          await fetchWithFallback([...idxUrls, ...bmclIdx], idxPath, `assets index ${assetsId} (retry)`, false, idxExpected, { signal });
+          refetched += 1;
+        }
+        idxJsonRaw = fs.readFileSync(idxPath, 'utf-8');
+        idxJson = JSON.parse(idxJsonRaw);
+      }
+      const objects = idxJson.objects || {};
+      ensureDir(path.join(dirs.assets, 'objects'));
+      const entries = Object.entries(objects);
+      const total = entries.length;
+      let processed = 0;
+
+      for (const [, obj] of entries) {
+        const hash = obj.hash;
+        sched.schedule({
+          size: obj.size,
+          reserved: assetsTotalKnown,
+          run: async (reporter) => {
+            const destDir = path.join(dirs.assets, 'objects', hash.slice(0, 2));
+            ensureDir(destDir);
+            const dest = path.join(destDir, hash);
+            // Télécharger si absent ou altéré (le nom de l'objet est son SHA-1)
+            const didDownload = await ensureVerified(BMCL.assetObj(hash), dest, `asset ${hash}`, { sha1: hash, size: obj.size }, false, reporter);
+            processed += 1;
+            // N'émettre une ligne texte que si un téléchargement a réellement eu lieu
+            if (didDownload) {
+              log && log(`[BMCL] Asset ${processed}/${total} ${hash}`);
+            }
+          }
+        });
+      }
+    }
+  } catch (e) {
+    // Index d'assets illisible: les téléchargements déjà lancés se terminent avant de rendre la main
+    sched.fail(e);
+    await sched.settle();
+    throw e;
+  }
+  await sched.drain();
+
+  if (refetched > 0) {
+    log && log(`[BMCL] Vérification SHA-1: ${refetched} fichier(s) re-téléchargé(s)`);
+  }
+
+  return { vJsonPath, refetched };
 }
 
-async function fetchWithFallback(urls, dest, label='resource', validateJar=false) {
-  const list = Array.isArray(urls) ? urls : [urls];
+// expected: { sha1, size } optionnels; un miroir qui sert un contenu différent est écarté au profit du suivant.
+// Retourne { url, rejected } où rejected = nombre de miroirs écartés pour empreinte invalide.
+// Les miroirs sont essayés du plus sain au moins sain (mirrorHealth.js); avec d'autres miroirs disponibles,
+// un hôte défaillant n'est retenté qu'une fois avant de passer au suivant.
+// dlOpts: { onProgress, throttle, signal } transmis au téléchargement (file commune, voir downloadScheduler.js).
+async function fetchWithFallback(urls, dest, label='resource', validateJar=false, expected=null, dlOpts=null) {
+  const list = rankMirrors(urls);
   let lastErr;
-  for (const url of list) {
-    try {
-      await aSYNC_GET(url, dest);
-      if (fs.existsSync(dest)) {
-        if (validateJar && dest.toLowerCase().endsWith('.jar')) {
-          try {
-            const zip = new AdmZip(dest);
-            const entries = zip.getEntries();
-            if (!entries || entries.length === 0) throw new Error('jar vide');
-          } catch (e) {
-            try { fs.unlinkSync(dest); } catch {}
-            lastErr = new Error(`Jar corrompu depuis ${url}`);
-            continue; // essayer prochain miroir
-          }
-        }
-        return;
+  let rejected = 0;
+  const SHA1_MISMATCH = 'empreinte SHA-1 invalide';
+  // Contenu vérifié avant de compter le miroir comme sain (voir aSYNC_GET)
+  const verify = async (file) => {
+    if (validateJar && file.toLowerCase().endsWith('.jar')) {
+      try {
+        const entries = new AdmZip(file).getEntries();
+        if (!entries || entries.length === 0) return 'jar vide';
+      } catch {
+        return 'jar corrompu';
       }
+    }
+    if (expected && (expected.sha1 || typeof expected.size === 'number')) {
+      if (!(await isFileIntact(file, expected))) return SHA1_MISMATCH;
+    }
+    return null;
+  };
+  for (let i = 0; i < list.length; i++) {
+    const url = list[i];
+    try {
+      await aSYNC_GET(url, dest, Object.assign({}, dlOpts, i < list.length - 1 ? { retries: 1 } : {}, { verify }));
+      if (fs.existsSync(dest)) return { url, rejected };
     } catch (e) {
-      lastErr = e;
+      // Annulation: pas de miroir suivant
+      if (isCancelled(e)) throw e;
+      if (e?.rejectedReason === SHA1_MISMATCH) rejected += 1;
+      lastErr = e; // essayer prochain miroir
     }
   }
   throw new Error(`Echec de téléchargement (${label}) via miroirs: ${lastErr?.message || lastErr}`);
@@ -931,31 +1535,234 @@ function uuidFromName(name) {
   );
 }
 
-const userProfilePath = path.join(eminiumDir, 'user.json');
-
+// Profil du compte actif (accountStore.js); null si aucun compte n'est actif
 function readUserProfile() {
-  try {
-    if (fs.existsSync(userProfilePath)) {
-      return JSON.parse(fs.readFileSync(userProfilePath, 'utf8'));
-    }
-  } catch {}
-  return null;
+  try { return accountStore.activeProfile(); } catch { return null; }
 }
 
+// Enregistre le profil (connexion, vérification) et en fait le compte actif
 function writeUserProfile(profile) {
   ensureDir(eminiumDir);
-  fs.writeFileSync(userProfilePath, JSON.stringify(profile, null, 2));
+  accountStore.save(profile);
 }
 
-function logoutEminium() {
+// Sans réponse du site, une session vérifiée il y a moins longtemps reste utilisable
+const SESSION_OFFLINE_GRACE_MS = 3 * 24 * 60 * 60 * 1000;
+const SESSION_CHECK_TIMEOUT_MS = 10000;
+
+// Session expirée, révoquée ou compte banni: le compte est retiré
+function clearUserProfile(key) {
+  try { accountStore.remove(key); } catch { }
+}
+
+// POST sur l'API d'authentification Azuriom; les réponses 4xx sont renvoyées, pas levées
+function azuriomAuthPost(endpoint, payload) {
+  return axios.post(`${SITE_URL}/api/auth/${endpoint}`, payload, {
+    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', 'User-Agent': 'EminiumLauncher/1.0' },
+    timeout: SESSION_CHECK_TIMEOUT_MS,
+    validateStatus: status => status < 500
+  });
+}
+
+// Vérifie le jeton du compte actif auprès d'Azuriom (/api/auth/verify) et met le profil à jour.
+// status: 'valid' | 'none' | 'invalid' (expirée/révoquée, effacée) | 'banned' (effacée) | 'offline' (site injoignable)
+// usable: le lancement est permis (session valide, ou site injoignable pendant le délai de grâce)
+async function verifyEminiumSession() {
+  // Clé du compte vérifié: l'entrée est mise à jour sur place même si la réponse change sa clé (id reçu, pseudo)
+  const key = accountStore.activeKey();
+  const profile = key ? accountStore.getProfile(key) : null;
+  if (!profile) return { status: 'none', usable: false };
+  if (!profile.access_token) {
+    clearUserProfile(key);
+    return { status: 'invalid', usable: false, message: 'Session incomplète: reconnectez-vous.' };
+  }
+  let res;
+  try {
+    res = await azuriomAuthPost('verify', { access_token: profile.access_token });
+    // Limitation de débit/délai côté site: ne dit rien de la validité du jeton
+    if (res.status === 408 || res.status === 429) throw new Error(`HTTP ${res.status}`);
+  } catch (e) {
+    const last = Date.parse(profile.verifiedAt || profile.obtainedAt || 0) || 0;
+    const usable = Date.now() - last < SESSION_OFFLINE_GRACE_MS;
+    return {
+      status: 'offline',
+      usable,
+      profile,
+      message: usable
+        ? `Session non vérifiée (site injoignable: ${e?.message || e})`
+        : 'Impossible de vérifier votre session depuis plusieurs jours: connectez-vous à internet puis réessayez.'
+    };
+  }
+  const data = res.data || {};
+  // Azuriom répond 403 aussi pour un jeton inconnu ou révoqué (reason: invalid_token): seul le motif indique un bannissement
+  if (data.reason === 'user_banned' || data.banned === true) {
+    clearUserProfile(key);
+    const reason = banReason(data);
+    return { status: 'banned', usable: false, reason, message: reason ? `Compte banni: ${reason}` : 'Votre compte a été banni.' };
+  }
+  if (res.status >= 300 || data.status === 'error') {
+    clearUserProfile(key);
+    return { status: 'invalid', usable: false, message: 'Votre session a expiré ou a été révoquée: reconnectez-vous.' };
+  }
+  const next = Object.assign(profileFromAuthData(data, profile), { verifiedAt: new Date().toISOString() });
+  // Sans changer le compte actif: le joueur a pu en choisir un autre pendant la vérification
+  accountStore.save(next, { activate: false, key });
+  return { status: 'valid', usable: true, profile: next };
+}
+
+// Révoque le jeton d'un compte côté Azuriom (/api/auth/logout); null: aucun jeton à révoquer
+async function revokeToken(profile) {
+  if (!profile?.access_token) return null;
   try {
-    if (fs.existsSync(userProfilePath)) fs.unlinkSync(userProfilePath);
-    return { ok: true };
+    const res = await azuriomAuthPost('logout', { access_token: profile.access_token });
+    return res.status < 300;
+  } catch { return false; }
+}
+
+// Retire un compte enregistré (par défaut le compte actif) après avoir révoqué son jeton, même si le site est injoignable
+async function logoutEminium(key = null) {
+  try {
+    const target = key || accountStore.activeKey();
+    const profile = target ? accountStore.getProfile(target) : null;
+    const revoked = await revokeToken(profile);
+    if (target) accountStore.remove(target);
+    return { ok: true, revoked };
   } catch (e) {
     return { ok: false, error: e.message };
   }
 }
 
+// Profil enregistré à partir d'une réponse authenticate/verify d'Azuriom.
+// previous: profil existant (vérification): jeton et date d'obtention conservés si la réponse ne les renvoie pas
+function profileFromAuthData(data, previous = null) {
+  const name = data.username || data.name || data.nickname || 'EminiumPlayer';
+  const uuid = data.uuid || uuidFromName(name);
+
+  // Normalize grade from possible role/grade structures (string | object | array)
+  const pickGradeName = (v) => {
+    try {
+      if (!v) return null;
+      if (typeof v === 'string') return v;
+      if (Array.isArray(v)) {
+        const parts = v.map(pickGradeName).filter(Boolean);
+        return parts.length ? parts.join(', ') : null;
+      }
+      if (typeof v === 'object') {
+        const cand = v.name || v.title || v.displayName || v.label || v.slug || v.role;
+        return cand ? String(cand) : null;
+      }
+      return String(v);
+    } catch { return null; }
+  };
+  const normalizeHex = (c) => {
+    if (!c) return null;
+    let s = String(c).trim();
+    // Accept like #RRGGBB or RRGGBB
+    if (/^#?[0-9a-fA-F]{6}$/.test(s)) return s.startsWith('#') ? s : `#${s}`;
+    // Accept short #RGB
+    if (/^#?[0-9a-fA-F]{3}$/.test(s)) {
+      s = s.replace('#','');
+      const r = s[0]; const g = s[1]; const b = s[2];
+      return `#${r}${r}${g}${g}${b}${b}`;
+    }
+    return null;
+  };
+  const pickGradeColor = (v) => {
+    try {
+      if (!v) return null;
+      if (typeof v === 'string') return null; // string roles don't carry color
+      if (Array.isArray(v)) {
+        for (const it of v) {
+          const c = pickGradeColor(it);
+          if (c) return c;
+        }
+        return null;
+      }
+      if (typeof v === 'object') {
+        const cand = v.color || v.colour || v.hex || v.primary_color || v.primaryColor || null;
+        return normalizeHex(cand);
+      }
+      return null;
+    } catch { return null; }
+  };
+  const gradeName = pickGradeName(data.grade || data.role || null);
+  const gradeColor = pickGradeColor(data.role || data.grade || null);
+
+  const profile = {
+    id: data.id ?? null,
+    name,
+    uuid,
+    email: data.email ?? null,
+    role: data.role ?? null,
+    grade: gradeName || null,
+    gradeColor: gradeColor || null,
+    banned: !!data.banned,
+    created_at: data.created_at ?? null,
+    access_token: data.access_token || previous?.access_token || null,
+    obtainedAt: previous?.obtainedAt || new Date().toISOString()
+  };
+  return profile;
+
+}
+
+// Motif du bannissement si l'API le fournit (le message générique "User banned" n'en est pas un)
+function banReason(data) {
+  const cand = [data?.ban?.reason, data?.ban_reason, data?.banned?.reason, data?.message]
+    .find(v => typeof v === 'string' && v.trim() && !/^user banned\.?$/i.test(v.trim()));
+  return cand ? cand.trim() : null;
+}
+
+// Réponse d'erreur de l'API d'authentification Azuriom → résultat de loginEminium
+function authFailure(status, data) {
+  // Cas 2FA requis via status pending/reason 2fa
+  if (data && data.status === 'pending' && (data.reason === '2fa' || data.reason === 'two_factor')) {
+    return { status: 'pending', reason: '2fa', message: 'Code de vérification requis' };
+  }
+
+  if (status === 422) {
+    // Erreur de validation (mauvais format d'email, mot de passe trop court, etc.)
+    const message = data?.message || 'Données de connexion invalides';
+    const errors = data?.errors ? Object.values(data.errors).flat().join(', ') : '';
+    return { 
+      status: 'error', 
+      reason: 'validation', 
+      message: `${message} ${errors}`.trim()
+    };
+  }
+
+  if (status === 401) {
+    // Non autorisé (mauvais identifiants)
+    return { 
+      status: 'error', 
+      reason: 'unauthorized', 
+      message: 'Email ou mot de passe incorrect'
+    };
+  }
+
+  if (data?.reason === 'user_banned') {
+    // Compte banni ou suspendu
+    const ban = banReason(data);
+    return { 
+      status: 'error', 
+      reason: 'banned', 
+      message: ban ? `Compte banni: ${ban}` : 'Votre compte a été banni.'
+    };
+  }
+  if (status === 403) {
+    return { status: 'error', reason: data?.reason || 'forbidden', message: data?.message || 'Accès refusé.' };
+  }
+
+  // Autres erreurs avec réponse du serveur
+  if (data && typeof data === 'object') {
+    return { 
+      status: 'error', 
+      reason: data.reason || 'server_error', 
+      message: data.message || 'Erreur lors de la connexion'
+    };
+  }
+  return { status: 'error', reason: 'server_error', message: `Erreur lors de la connexion (HTTP ${status})` };
+}
+
 async function loginEminium(email, password, twoFactorCode) {
   // Validation des entrées
   if (!email || !password) {
@@ -1004,7 +1811,9 @@ async function loginEminium(email, password, twoFactorCode) {
     );
     const responseTime = Date.now() - startTime;
     console.log(`Réponse reçue en ${responseTime}ms - Status: ${res.status}`);
-    console.log('Réponse du serveur (données):', JSON.stringify(res.data, null, 2));
+    // Jeton et e-mail jamais écrits dans la console
+    const shown = Object.assign({}, res.data, res.data?.access_token ? { access_token: '***' } : {}, res.data?.email ? { email: '***' } : {});
+    console.log('Réponse du serveur (données):', JSON.stringify(shown, null, 2));
   } catch (err) {
     console.error('Erreur lors de la connexion:', err);
     
@@ -1018,52 +1827,8 @@ async function loginEminium(email, password, twoFactorCode) {
     }
     
     // Si le serveur renvoie une erreur JSON, essayons de la parser
-    const data = err?.response?.data;
-    const status = err?.response?.status;
-    
-    if (status === 422) {
-      // Erreur de validation (mauvais format d'email, mot de passe trop court, etc.)
-      const message = data?.message || 'Données de connexion invalides';
-      const errors = data?.errors ? Object.values(data.errors).flat().join(', ') : '';
-      return { 
-        status: 'error', 
-        reason: 'validation', 
-        message: `${message} ${errors}`.trim()
-      };
-    }
-    
-    if (status === 401) {
-      // Non autorisé (mauvais identifiants)
-      return { 
-        status: 'error', 
-        reason: 'unauthorized', 
-        message: 'Email ou mot de passe incorrect'
-      };
-    }
-    
-    if (status === 403) {
-      // Compte banni ou suspendu
-      return { 
-        status: 'error', 
-        reason: 'forbidden', 
-        message: 'Accès refusé. Votre compte est peut-être suspendu.'
-      };
-    }
-    
-    // Cas 2FA requis via status pending/reason 2fa
-    if (data && data.status === 'pending' && (data.reason === '2fa' || data.reason === 'two_factor')) {
-      return { status: 'pending', reason: '2fa', message: 'Code de vérification requis' };
-    }
-    
-    // Autres erreurs avec réponse du serveur
-    if (data && typeof data === 'object') {
-      return { 
-        status: 'error', 
-        reason: data.reason || 'server_error', 
-        message: data.message || 'Erreur lors de la connexion'
-      };
-    }
-    
+    if (err?.response) return authFailure(err.response.status, err.response.data);
+
     // Erreur réseau ou de connexion
     return { 
       status: 'error', 
@@ -1077,110 +1842,49 @@ async function loginEminium(email, password, twoFactorCode) {
   if (data.status === 'pending' && (data.reason === '2fa' || data.reason === 'two_factor')) {
     return { status: 'pending', reason: '2fa' };
   }
+  // validateStatus accepte les 4xx: un refus ne doit pas enregistrer de profil
+  if (res.status >= 400 || data.status === 'error') return authFailure(res.status, data);
 
   // Succès attendu: user fields + access_token
-  const name = data.username || data.name || data.nickname || 'EminiumPlayer';
-  const uuid = data.uuid || uuidFromName(name);
-
-  // Normalize grade from possible role/grade structures (string | object | array)
-  const pickGradeName = (v) => {
-    try {
-      if (!v) return null;
-      if (typeof v === 'string') return v;
-      if (Array.isArray(v)) {
-        const parts = v.map(pickGradeName).filter(Boolean);
-        return parts.length ? parts.join(', ') : null;
-      }
-      if (typeof v === 'object') {
-        const cand = v.name || v.title || v.displayName || v.label || v.slug || v.role;
-        return cand ? String(cand) : null;
-      }
-      return String(v);
-    } catch { return null; }
-  };
-  const normalizeHex = (c) => {
-    if (!c) return null;
-    let s = String(c).trim();
-    // Accept like #RRGGBB or RRGGBB
-    if (/^#?[0-9a-fA-F]{6}$/.test(s)) return s.startsWith('#') ? s : `#${s}`;
-    // Accept short #RGB
-    if (/^#?[0-9a-fA-F]{3}$/.test(s)) {
-      s = s.replace('#','');
-      const r = s[0]; const g = s[1]; const b = s[2];
-      return `#${r}${r}${g}${g}${b}${b}`;
-    }
-    return null;
-  };
-  const pickGradeColor = (v) => {
-    try {
-      if (!v) return null;
-      if (typeof v === 'string') return null; // string roles don't carry color
-      if (Array.isArray(v)) {
-        for (const it of v) {
-          const c = pickGradeColor(it);
-          if (c) return c;
-        }
-        return null;
-      }
-      if (typeof v === 'object') {
-        const cand = v.color || v.colour || v.hex || v.primary_color || v.primaryColor || null;
-        return normalizeHex(cand);
-      }
-      return null;
-    } catch { return null; }
-  };
-  const gradeName = pickGradeName(data.grade || data.role || null);
-  const gradeColor = pickGradeColor(data.role || data.grade || null);
-
-  const profile = {
-    id: data.id ?? null,
-    name,
-    uuid,
-    email: data.email ?? null,
-    role: data.role ?? null,
-    grade: gradeName || null,
-    gradeColor: gradeColor || null,
-    banned: !!data.banned,
-    created_at: data.created_at ?? null,
-    access_token: data.access_token || null,
-    obtainedAt: new Date().toISOString()
-  };
-
+  const profile = profileFromAuthData(data);
   writeUserProfile(profile);
   return { status: 'success', profile };
 }
 
 const { Client, Authenticator } = require('minecraft-launcher-core');
 
-async function launchMinecraft({ memoryMB = 2048, serverHost = '82.64.85.47', serverPort = 25565 } = {}) {
+// serverHost/serverPort: entrée de la liste des serveurs; modpack: { manifestUrl, zipUrl } requis par ce serveur
+// downloadConcurrency/downloadLimitKBs: réglages de la file de téléchargement; signal: annulation jusqu'au démarrage du jeu
+// jvm: { preset, customArgs, minHeapMB } (paramètres du launcher, voir jvmArgs.js); javaPin: runtime Java épinglé
+// offline: lancement sans authentification (tests sur un serveur en offline-mode), sinon session Azuriom via authlib-injector
+async function launchMinecraft({ memoryMB = 2048, serverHost, serverPort = 25565, modpack = null, downloadConcurrency, downloadLimitKBs, jvm = {}, javaPin = null, offline = false, signal = null } = {}) {
 
   const profile = readUserProfile();
   if (!profile) {
     throw new Error('Aucun profil utilisateur trouvé. Connectez-vous d’abord.');
   }
+  if (!offline && !profile.access_token) {
+    throw new Error('Session incomplète: reconnectez-vous.');
+  }
 
   const launcher = new Client();
 
-  // Auth offline stricte pour éviter tout appel à authserver.mojang.com
-  const auth = {
-    access_token: '0',
-    client_token: '0',
-    uuid: profile.uuid,
-    name: profile.name,
-    user_properties: {},
-    meta: { type: 'offline' }
-  };
-
   // Préparation offline via BMCL (évite Mojang)
   const log = (msg) => {
     console.log('[BMCL]', msg);
-    if (globalThis.emitPlayProgress) globalThis.emitPlayProgress({ line: msg });
+    progressBus.log(msg);
   };
   // Synchroniser le modpack distant avant tout
-  await syncModpackFromUrl(MODPACK_URL, (m) => console.log(m));
-  await ensureVersionFilesBMCL(MC_VERSION, log);
-
-  const installerPath = await ensureForgeInstaller(MC_VERSION, FORGE_VERSION);
+  progressBus.step('modpack');
+  await syncModpack((m) => console.log(m), modpack, signal);
+  // Installeur Forge et fichiers de version partagent la même file (une seule barre de progression)
+  progressBus.step('download');
+  const scheduler = createGameDownloadScheduler({ downloadConcurrency, downloadLimitKBs, signal });
+  const forgeTask = ensureForgeInstaller(MC_VERSION, FORGE_VERSION, scheduler);
+  forgeTask.catch(() => {}); // attendu plus bas
+  await ensureVersionFilesBMCL(MC_VERSION, log, scheduler);
+
+  const installerPath = await forgeTask;
   // Validate installer again defensively (may have been corrupted externally)
   try {
     const testZip = new AdmZip(installerPath);
@@ -1192,59 +1896,79 @@ async function launchMinecraft({ memoryMB = 2048, serverHost = '82.64.85.47', se
     try { fs.unlinkSync(installerPath); } catch {}
     await ensureForgeInstaller(MC_VERSION, FORGE_VERSION);
   }
-  let javaPath = resolveJavaPath();
-  // Enforce bundled JRE so we don't rely on system Java silently
-  if (!javaPath) {
-    throw new Error('JRE embarqué introuvable. Placez une JRE Java 17 dans assets/core/jre/win/bin/javaw.exe (ou mac/linux selon la plateforme).');
-  }
-  // Validate Java by running -version; if javaw fails, try sibling java.exe
-  const tryCheck = (exePath) => {
+  throwIfCancelled(signal);
+  progressBus.step('java');
+  let { runtime, warnings: javaWarnings } = await javaRuntime.selectRuntime({ pin: javaPin });
+  for (const w of javaWarnings) progressBus.log(w, 'warn');
+  if (!runtime) {
+    // Aucun Java compatible sur la machine (Linux/macOS sans JRE fournie): téléchargement dans jreRoot
+    progressBus.log(`Aucun Java ${javaRuntime.REQUIRED_MAJOR} compatible trouvé: téléchargement d'une JRE`, 'warn');
     try {
-      const { loginEminium, testServerConnection } = require('./setup.js');
-      const res = spawnSync(exePath, ['-version'], { encoding: 'utf8', windowsHide: true });
-      // Some Javas print version to stderr; accept exitCode 0
-      if (res.error) throw res.error;
-      if (res.status !== 0) {
-        const out = [res.stdout || '', res.stderr || ''].join('\n').trim();
-        const msg = `exitCode=${res.status}${out ? `, output=\n${out}` : ''}`;
-        throw new Error(msg);
-      }
-      return true;
-    } catch (err) {
-      throw err;
-    }
-  };
-
-  try {
-    // If path points to javaw.exe, prefer java.exe for checks
-    if (process.platform === 'win32' && javaPath.toLowerCase().endsWith('javaw.exe')) {
-      const alt = path.join(path.dirname(javaPath), 'java.exe');
-      if (fs.existsSync(alt)) {
-        tryCheck(alt);
-        javaPath = alt;
-      } else {
-        tryCheck(javaPath);
-      }
-    } else {
-      tryCheck(javaPath);
+      runtime = await javaRuntime.installRuntime({
+        signal,
+        onStep: (_id, msg) => progressBus.log(msg),
+        onProgress: (received, total) => progressBus.progress(received, total, { unit: 'bytes', currentFile: 1, totalFiles: 1 })
+      });
+    } catch (e) {
+      if (isCancelled(e)) throw e;
+      throw new Error(`Aucun Java ${javaRuntime.REQUIRED_MAJOR} compatible et téléchargement impossible (${e?.message || e}). Installez Java ${javaRuntime.REQUIRED_MAJOR} ou définissez JAVA_HOME.`);
     }
-  } catch (e2) {
-    throw new Error(`Java invalide ou non exécutable: ${javaPath}. Détail: ${e2?.message || e2}`);
   }
+  const javaPath = runtime.path;
   // Preflight: ensure critical Mojang library exists to avoid ForgeWrapper concurrent download issues
   try {
     const pathPart = 'com/mojang/blocklist/1.0.10/blocklist-1.0.10.jar';
     const dest = path.join(dirs.libraries, pathPart.replace(/\//g, path.sep));
     if (!fs.existsSync(dest) || (function(){ try { const st = fs.statSync(dest); return st.size < 1024; } catch { return true; } })()) {
       ensureDir(path.dirname(dest));
-      await fetchWithFallback(BMCL.maven(pathPart), dest, 'mojang blocklist jar', true);
-      try { if (globalThis.emitPlayProgress) globalThis.emitPlayProgress({ line: '[BMCL] Librairie pré-téléchargée com/mojang/blocklist' }); } catch {}
+      await fetchWithFallback(BMCL.maven(pathPart), dest, 'mojang blocklist jar', true, null, { signal });
+      progressBus.log('[BMCL] Librairie pré-téléchargée com/mojang/blocklist');
     }
   } catch (e) {
+    if (isCancelled(e)) throw e;
     // Non bloquant: ForgeWrapper essaiera aussi, mais on log l'erreur
     try { console.warn('[BMCL] Pré-téléchargement blocklist échoué:', e?.message || String(e)); } catch {}
   }
-  try { if (globalThis.emitPlayProgress) globalThis.emitPlayProgress({ line: `Java utilisé: ${javaPath}` }); } catch {}
+  progressBus.log(`Java utilisé: ${javaPath} (Java ${runtime.version}, ${runtime.vendor || 'éditeur inconnu'}, ${runtime.arch || '?'}, ${runtime.source})`);
+
+  const jvmArgs = resolveJvmArgs({
+    preset: jvm.preset,
+    customArgs: jvm.customArgs,
+    minHeapMB: jvm.minHeapMB,
+    maxHeapMB: memoryMB,
+    javaMajor: runtime.major
+  });
+  if (!jvmArgs.ok) {
+    throw new Error(`Arguments Java personnalisés invalides: ${jvmArgs.errors.join('; ')}`);
+  }
+  for (const w of jvmArgs.warnings) progressBus.log(w, 'warn');
+  progressBus.log(`Arguments JVM (${jvmArgs.preset}): ${jvmArgs.args.length ? jvmArgs.args.join(' ') : 'aucun'}, tas ${jvmArgs.minHeapMB}-${memoryMB} Mo`);
+
+  // Jamais d'appel à authserver.mojang.com: jeton Azuriom vérifié par l'API Yggdrasil du site, ou aucun jeton
+  progressBus.step('auth');
+  let auth;
+  let agentArgs = [];
+  if (offline) {
+    progressBus.log('Mode hors ligne: jeu lancé sans authentification (le serveur doit être en offline-mode)', 'warn');
+    auth = { access_token: '0', client_token: '0', uuid: profile.uuid, name: profile.name, user_properties: {}, meta: { type: 'offline' } };
+  } else {
+    let online;
+    try {
+      online = await authlibInjector.prepare({ apiUrl: YGGDRASIL_URL, name: profile.name, signal });
+    } catch (e) {
+      if (isCancelled(e)) throw e;
+      throw new Error(`Authentification en ligne impossible: ${e?.message || e}`);
+    }
+    for (const w of online.warnings) progressBus.log(w, 'warn');
+    progressBus.log(`authlib-injector ${online.version}, API Yggdrasil: ${online.apiUrl}`);
+    // UUID connu de l'API: celui que le serveur verra à la connexion
+    const uuid = online.uuid || profile.uuid;
+    if (online.uuid && online.uuid.replace(/-/g, '') !== String(profile.uuid).replace(/-/g, '')) {
+      progressBus.log(`UUID du profil de jeu (${online.uuid}) différent de celui du site (${profile.uuid}): celui du jeu est utilisé`, 'warn');
+    }
+    agentArgs = online.args;
+    auth = { access_token: profile.access_token, client_token: '0', uuid, name: profile.name, user_properties: {}, meta: { type: 'mojang' } };
+  }
 
   const opts = {
     root: hiddenBase, // dossier "invisible" avec Forge et mods
@@ -1255,26 +1979,31 @@ async function launchMinecraft({ memoryMB = 2048, serverHost = '82.64.85.47', se
     forge: installerPath,
     ...(javaPath ? { javaPath } : {}),
     // Use QuickPlay to auto-join the server (avoids deprecated server/port flags)
-    quickPlay: {
-      type: 'multiplayer',
-      identifier: `${serverHost}:${serverPort}`
-    },
+    ...(serverHost ? {
+      quickPlay: {
+        type: 'multiplayer',
+        identifier: `${serverHost}:${serverPort}`
+      }
+    } : {}),
     memory: {
       max: `${memoryMB}M`,
-      min: '512M'
+      min: `${jvmArgs.minHeapMB}M`
     },
+    // L'agent passe avant les arguments personnalisés (liste blanche de jvmArgs.js: ni agent, ni fichier d'options, ni classe chargée au démarrage)
+    customArgs: [...agentArgs, ...jvmArgs.args],
     authorization: auth
   };
 
   // Cleanup pass: remove any corrupted jars in libraries to force re-download by ForgeWrapper
+  progressBus.step('launch');
   await cleanupCorruptLibraries();
 
-  launcher.launch(opts);
+  // Dernier point d'annulation: une fois lancé, le jeu ne s'arrête plus par ce biais
+  throwIfCancelled(signal);
+  const child = launcher.launch(opts);
 
-  launcher.on('debug', (e) => console.log('[MC DEBUG]', e));
-  launcher.on('data', (e) => console.log('[MC]', e.toString()));
-
-  return launcher;
+  // launcher: événements MCLC (data, debug, close); child: Promise du processus Java (null si le démarrage échoue)
+  return { launcher, child };
 }
 
 
@@ -1285,8 +2014,11 @@ module.exports = {
   testServerConnection,
   readUserProfile,
   logoutEminium,
+  verifyEminiumSession,
   eminiumDir,
-  hiddenBase
+  hiddenBase,
+  MC_VERSION,
+  MC_PROTOCOL
 };
 
 // Helpers d'état/installation pour le launcher
@@ -1311,7 +2043,8 @@ async function checkReady() {
   }
 }
 
-async function prepareGame(log) {
+// opts: { downloadConcurrency, downloadLimitKBs, signal }
+async function prepareGame(log, opts = {}) {
   // Fast path: if already ready, don't do anything
   try {
     const st = await checkReady();
@@ -1320,10 +2053,15 @@ async function prepareGame(log) {
       return { skipped: true };
     }
   } catch {}
+  progressBus.step('ensure');
   await ensureAll();
   const logger = (msg) => { log && log(msg); };
-  await ensureVersionFilesBMCL(MC_VERSION, logger);
-  await ensureForgeInstaller(MC_VERSION, FORGE_VERSION);
+  progressBus.step('download');
+  const scheduler = createGameDownloadScheduler(opts);
+  const forgeTask = ensureForgeInstaller(MC_VERSION, FORGE_VERSION, scheduler);
+  forgeTask.catch(() => {}); // attendu plus bas
+  await ensureVersionFilesBMCL(MC_VERSION, logger, scheduler);
+  await forgeTask;
   return { ok: true };
 }
 
@@ -1355,7 +2093,7 @@ async function cleanupCorruptLibraries() {
   for (const f of bad) {
     try { fs.unlinkSync(f); } catch {}
   }
-  if (bad.length && globalThis.emitPlayProgress) {
-    try { globalThis.emitPlayProgress({ line: `[BMCL] Nettoyage: ${bad.length} jar(s) corrompus supprimés (re-téléchargement automatique).` }); } catch {}
+  if (bad.length) {
+    progressBus.log(`[BMCL] Nettoyage: ${bad.length} jar(s) corrompus supprimés (re-téléchargement automatique).`, 'warn');
   }
 }
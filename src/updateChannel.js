@@ -0,0 +1,119 @@
+// Choix de la release à installer selon le canal (stable/bêta), la version minimale et les préférences du joueur
+const { MANIFEST_NAME, SIGNATURE_NAME } = require('./updateVerify');
+const UPDATE_CHANNELS = ['stable', 'beta'];
+// Nom de l'archive signée attachée aux releases (sinon: archive source du tag)
+const UPDATE_ASSET_NAME = 'launcher-update.zip';
+
+// "v1.2.3-beta.1" → { major, minor, patch, pre: ['beta', 1] } ou null
+function parseVersion(v) {
+  const m = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/.exec(String(v || '').trim());
+  if (!m) return null;
+  return {
+    major: Number(m[1]),
+    minor: Number(m[2]),
+    patch: Number(m[3]),
+    pre: m[4] ? m[4].split('.').map(p => (/^\d+$/.test(p) ? Number(p) : p)) : []
+  };
+}
+
+// Ordre semver (une pré-version est inférieure à la version finale)
+function compareVersions(a, b) {
+  const va = parseVersion(a);
+  const vb = parseVersion(b);
+  if (!va || !vb) return 0;
+  for (const k of ['major', 'minor', 'patch']) {
+    if (va[k] !== vb[k]) return va[k] < vb[k] ? -1 : 1;
+  }
+  if (!va.pre.length || !vb.pre.length) return Math.sign(vb.pre.length - va.pre.length);
+  for (let i = 0; i < Math.max(va.pre.length, vb.pre.length); i++) {
+    const x = va.pre[i];
+    const y = vb.pre[i];
+    if (x === undefined) return -1;
+    if (y === undefined) return 1;
+    if (x === y) continue;
+    if (typeof x === 'number' && typeof y === 'number') return x < y ? -1 : 1;
+    if (typeof x === 'number') return -1;
+    if (typeof y === 'number') return 1;
+    return x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+const cleanVersion = (v) => String(v || '').trim().replace(/^v/, '');
+
+// Version minimale déclarée dans les notes de release: <!-- minimum-version: 1.2.0 -->
+function readMinimumVersion(body) {
+  const m = /minimum-version:\s*v?([0-9A-Za-z.+-]+)/i.exec(String(body || ''));
+  return m && parseVersion(m[1]) ? m[1] : null;
+}
+
+// Préférences de mise à jour issues de settings.json
+function normalizeUpdatePrefs(settings) {
+  const s = settings || {};
+  return {
+    channel: UPDATE_CHANNELS.includes(s.updateChannel) ? s.updateChannel : 'stable',
+    pin: parseVersion(s.updatePin) ? cleanVersion(s.updatePin) : null,
+    skip: (Array.isArray(s.updateSkip) ? s.updateSkip : []).map(cleanVersion).filter(v => parseVersion(v))
+  };
+}
+
+// Releases GitHub → [{ version, tag, prerelease, assetUrl, manifestUrl, signatureUrl, notes, minimumVersion }], de la plus récente à la plus ancienne
+function normalizeReleases(list) {
+  const out = [];
+  for (const r of Array.isArray(list) ? list : []) {
+    if (!r || r.draft) continue;
+    const version = cleanVersion(r.tag_name);
+    if (!parseVersion(version)) continue;
+    const findAsset = (name) => (r.assets || []).find(a => a && a.name === name)?.browser_download_url || null;
+    out.push({
+      version,
+      tag: String(r.tag_name),
+      prerelease: !!r.prerelease,
+      assetUrl: findAsset(UPDATE_ASSET_NAME) || r.zipball_url || null,
+      // Manifest signé publié avec la release (mises à jour différentielles)
+      manifestUrl: findAsset(MANIFEST_NAME),
+      signatureUrl: findAsset(SIGNATURE_NAME),
+      notes: String(r.body || ''),
+      minimumVersion: readMinimumVersion(r.body)
+    });
+  }
+  return out.sort((a, b) => compareVersions(b.version, a.version));
+}
+
+// Décide de la release cible. Retourne { release|null, mandatory, minimumVersion, reason }
+function selectRelease(releases, { current, channel = 'stable', pin = null, skip = [], force = false }) {
+  const inChannel = releases.filter(r => r.assetUrl && (channel === 'beta' || !r.prerelease));
+  // La plus haute version minimale publiée s'applique à tous les canaux
+  const minimumVersion = releases
+    .map(r => r.minimumVersion)
+    .filter(Boolean)
+    .sort((a, b) => compareVersions(b, a))[0] || null;
+  const mandatory = !!(minimumVersion && compareVersions(current, minimumVersion) < 0);
+
+  if (mandatory) {
+    // Version obsolète: épinglage et versions ignorées ne s'appliquent plus
+    const pinned = pin && compareVersions(pin, minimumVersion) >= 0 ? inChannel.find(r => r.version === pin) : null;
+    const release = pinned || inChannel.find(r => compareVersions(r.version, minimumVersion) >= 0) || null;
+    return { release, mandatory, minimumVersion, reason: 'minimum' };
+  }
+  if (pin) {
+    // Version épinglée: installée telle quelle (y compris un retour en arrière), puis plus de mise à jour
+    const release = inChannel.find(r => r.version === pin) || null;
+    if (!release) return { release: null, mandatory, minimumVersion, reason: 'pin-missing' };
+    if (release.version === cleanVersion(current) && !force) return { release: null, mandatory, minimumVersion, reason: 'pinned' };
+    return { release, mandatory, minimumVersion, reason: 'pin' };
+  }
+  if (force) return { release: inChannel[0] || null, mandatory, minimumVersion, reason: 'force' };
+  const release = inChannel.find(r => compareVersions(r.version, current) > 0 && !skip.includes(r.version)) || null;
+  return { release, mandatory, minimumVersion, reason: release ? 'newer' : 'up-to-date' };
+}
+
+module.exports = {
+  UPDATE_CHANNELS,
+  UPDATE_ASSET_NAME,
+  parseVersion,
+  compareVersions,
+  normalizeUpdatePrefs,
+  normalizeReleases,
+  selectRelease
+};
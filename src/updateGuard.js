@@ -0,0 +1,173 @@
+// Application atomique des mises à jour du launcher, avec retour automatique à la version précédente.
+// Journal: userData/updates/pending.json
+//   state 'swapping' → échange en cours (interrompu = restauration au démarrage suivant)
+//   state 'pending'  → nouvelle version en place, en attente de confirmation (confirmUpdate)
+// La version précédente est conservée dans appDir/.update-prev (même volume: renommages atomiques).
+// Limite: une nouvelle version qui échoue avant d'exécuter checkPendingOnBoot() ne peut pas se restaurer.
+const fs = require('fs');
+const path = require('path');
+
+const NEXT_DIR = '.update-next';
+const PREV_DIR = '.update-prev';
+// Délai laissé à la nouvelle version pour se déclarer saine
+const CONFIRM_TIMEOUT_MS = 90 * 1000;
+
+const appDir = path.join(__dirname, '..');
+let updatesDir = null;
+
+function init(userDataDir) {
+  updatesDir = path.join(userDataDir, 'updates');
+  try { fs.mkdirSync(updatesDir, { recursive: true }); } catch { }
+}
+
+const journalPath = () => path.join(updatesDir, 'pending.json');
+const rolledBackPath = () => path.join(updatesDir, 'rolled_back.json');
+
+function readJson(p) {
+  try { return JSON.parse(fs.readFileSync(p, 'utf8')); } catch { return null; }
+}
+
+function writeJson(p, obj) {
+  const tmp = p + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(obj, null, 2), 'utf8');
+  fs.renameSync(tmp, p);
+}
+
+function readJournal() {
+  const j = updatesDir ? readJson(journalPath()) : null;
+  return j && Array.isArray(j.items) ? j : null;
+}
+
+function rmrf(p) {
+  try { fs.rmSync(p, { recursive: true, force: true }); } catch { }
+}
+
+// Prépare appDir/.update-next à partir des fichiers vérifiés (copie, l'installation reste intacte)
+function stageFiles(root, files, onProgress = () => { }) {
+  const next = path.join(appDir, NEXT_DIR);
+  rmrf(next);
+  let done = 0;
+  for (const f of files) {
+    const rel = f.path.split('/');
+    const dst = path.join(next, ...rel);
+    fs.mkdirSync(path.dirname(dst), { recursive: true });
+    fs.copyFileSync(path.join(root, ...rel), dst);
+    onProgress(++done, files.length);
+  }
+  // Éléments de premier niveau remplacés d'un bloc (ex: src, assets, package.json)
+  return [...new Set(files.map(f => f.path.split('/')[0]))];
+}
+
+// Abandonne une préparation non échangée (ex: mise à jour annulée)
+function discardStaged() {
+  rmrf(path.join(appDir, NEXT_DIR));
+}
+
+// Remet en place la version précédente à partir du journal (échange complet ou interrompu)
+function restoreFromJournal(journal) {
+  const prev = path.join(appDir, PREV_DIR);
+  const existed = new Set(journal.existed || []);
+  for (const item of journal.items) {
+    const cur = path.join(appDir, item);
+    const backup = path.join(prev, item);
+    if (fs.existsSync(backup)) {
+      rmrf(cur);
+      fs.renameSync(backup, cur);
+    } else if (!existed.has(item)) {
+      // Élément ajouté par la mise à jour
+      rmrf(cur);
+    }
+    // Sinon: l'élément n'avait pas encore été déplacé, l'original est toujours en place
+  }
+  rmrf(prev);
+  rmrf(path.join(appDir, NEXT_DIR));
+}
+
+// Échange les éléments préparés avec ceux de l'installation. En cas d'échec, tout est restauré.
+function swapIn(items, info) {
+  const next = path.join(appDir, NEXT_DIR);
+  const prev = path.join(appDir, PREV_DIR);
+  rmrf(prev);
+  fs.mkdirSync(prev, { recursive: true });
+  const journal = {
+    state: 'swapping',
+    tag: info.tag,
+    version: info.version || null,
+    items,
+    existed: items.filter(item => fs.existsSync(path.join(appDir, item))),
+    appliedAt: new Date().toISOString(),
+    boots: 0
+  };
+  writeJson(journalPath(), journal);
+  try {
+    for (const item of items) {
+      const cur = path.join(appDir, item);
+      if (fs.existsSync(cur)) fs.renameSync(cur, path.join(prev, item));
+      fs.renameSync(path.join(next, item), cur);
+    }
+  } catch (e) {
+    try { restoreFromJournal(journal); } catch { }
+    try { fs.unlinkSync(journalPath()); } catch { }
+    throw new Error(`Échange des fichiers impossible (${e?.code || e?.message || e}), version actuelle conservée`);
+  }
+  rmrf(next);
+  journal.state = 'pending';
+  writeJson(journalPath(), journal);
+  return journal;
+}
+
+function rollback(reason) {
+  const journal = readJournal();
+  if (!journal) return null;
+  restoreFromJournal(journal);
+  try { fs.unlinkSync(journalPath()); } catch { }
+  // Mémorise la version refusée pour ne pas la réappliquer en boucle
+  const info = { tag: journal.tag, version: journal.version, reason: String(reason || ''), at: new Date().toISOString() };
+  try { writeJson(rolledBackPath(), info); } catch { }
+  return info;
+}
+
+// À appeler au tout début du processus principal.
+// Retourne 'rollback' (l'appelant doit redémarrer), 'pending' (confirmation attendue) ou null.
+function checkPendingOnBoot() {
+  const journal = readJournal();
+  if (!journal) return null;
+  if (journal.state !== 'pending') {
+    rollback('Mise à jour interrompue pendant l\'échange des fichiers');
+    return 'rollback';
+  }
+  if ((journal.boots || 0) >= 1) {
+    rollback('La nouvelle version n\'a pas confirmé son démarrage');
+    return 'rollback';
+  }
+  journal.boots = (journal.boots || 0) + 1;
+  try { writeJson(journalPath(), journal); } catch { }
+  return 'pending';
+}
+
+// La nouvelle version a démarré correctement: on valide et on libère la sauvegarde
+function confirmUpdate() {
+  const journal = readJournal();
+  if (!journal || journal.state !== 'pending') return null;
+  fs.writeFileSync(path.join(updatesDir, 'last_sha.txt'), String(journal.tag || ''));
+  try { fs.unlinkSync(journalPath()); } catch { }
+  try { fs.unlinkSync(rolledBackPath()); } catch { }
+  rmrf(path.join(appDir, PREV_DIR));
+  return journal;
+}
+
+const isPending = () => readJournal()?.state === 'pending';
+const readRolledBack = () => (updatesDir ? readJson(rolledBackPath()) : null);
+
+module.exports = {
+  CONFIRM_TIMEOUT_MS,
+  init,
+  stageFiles,
+  discardStaged,
+  swapIn,
+  rollback,
+  checkPendingOnBoot,
+  confirmUpdate,
+  isPending,
+  readRolledBack
+};
@@ -0,0 +1,130 @@
+// Vérification des mises à jour du launcher: manifest signé (Ed25519) + empreintes SHA-256 par fichier
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Clé publique de release (32 octets bruts, base64). La clé privée ne quitte jamais la machine de release.
+// À renseigner par le responsable des releases (node scripts/sign-update.js keygen): tant qu'elle est vide,
+// toute mise à jour est refusée.
+const UPDATE_PUBLIC_KEY = '';
+
+// Fichiers publiés à la racine de l'archive de mise à jour
+const MANIFEST_NAME = 'update-manifest.json';
+const SIGNATURE_NAME = 'update-manifest.json.sig';
+
+// En-tête DER SubjectPublicKeyInfo d'une clé Ed25519
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+function getPublicKey() {
+  if (!UPDATE_PUBLIC_KEY) throw new Error('Mise à jour refusée: clé publique de mise à jour non configurée (UPDATE_PUBLIC_KEY)');
+  const raw = Buffer.from(UPDATE_PUBLIC_KEY, 'base64');
+  if (raw.length !== 32) throw new Error('Clé publique de mise à jour invalide');
+  return crypto.createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, raw]), format: 'der', type: 'spki' });
+}
+
+function verifyManifestSignature(manifestBuf, signatureB64) {
+  let sig;
+  try { sig = Buffer.from(String(signatureB64 || '').trim(), 'base64'); } catch { return false; }
+  if (sig.length !== 64) return false;
+  try { return crypto.verify(null, manifestBuf, getPublicKey(), sig); } catch { return false; }
+}
+
+function sha256File(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    const rs = fs.createReadStream(file);
+    rs.on('error', reject);
+    rs.on('data', (chunk) => hash.update(chunk));
+    rs.on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Chemin relatif POSIX, sans '..', limité aux éléments autorisés (copyList)
+function normalizeUpdatePath(p, allowed) {
+  const rel = String(p || '').replace(/\\/g, '/').replace(/^\.\/+/, '');
+  if (!rel || rel.startsWith('/') || /^[a-zA-Z]:/.test(rel)) return null;
+  const parts = rel.split('/');
+  if (parts.some(s => !s || s === '.' || s === '..')) return null;
+  if (!allowed.includes(parts[0])) return null;
+  return parts.join('/');
+}
+
+function listFilesRel(root, rel, out) {
+  const abs = path.join(root, rel);
+  const st = fs.statSync(abs);
+  if (st.isFile()) { out.push(rel.split(path.sep).join('/')); return out; }
+  if (!st.isDirectory()) return out;
+  for (const name of fs.readdirSync(abs)) listFilesRel(root, path.join(rel, name), out);
+  return out;
+}
+
+// Vérifie la signature puis valide les entrées du manifest. Retourne { manifest, files: [{ path, sha256, size }] }
+function parseSignedManifest(manifestBuf, signatureB64, allowed) {
+  getPublicKey(); // clé absente ou invalide: erreur explicite plutôt qu'une signature « invalide »
+  if (!verifyManifestSignature(manifestBuf, signatureB64)) {
+    throw new Error('Mise à jour refusée: signature du manifest invalide');
+  }
+  let manifest;
+  try { manifest = JSON.parse(manifestBuf.toString('utf8')); } catch { throw new Error('Mise à jour refusée: manifest illisible'); }
+  if (!manifest || !Array.isArray(manifest.files) || !manifest.files.length) {
+    throw new Error('Mise à jour refusée: manifest vide');
+  }
+  const files = [];
+  const listed = new Set();
+  for (const f of manifest.files) {
+    const rel = normalizeUpdatePath(f && f.path, allowed);
+    const sha256 = String(f && f.sha256 || '').toLowerCase();
+    const size = Number(f && f.size);
+    if (!rel || !/^[0-9a-f]{64}$/.test(sha256) || !Number.isInteger(size) || size < 0 || listed.has(rel)) {
+      throw new Error(`Mise à jour refusée: entrée de manifest invalide (${f && f.path})`);
+    }
+    listed.add(rel);
+    files.push({ path: rel, sha256, size });
+  }
+  return { manifest, files };
+}
+
+// Vérifie l'arbre extrait avant toute copie dans appDir.
+// Rejette si le manifest est absent, non signé, mal signé, ou si un fichier ne correspond pas.
+// Retourne { manifest, files: [{ path, sha256, size }] } (seuls ces fichiers doivent être copiés).
+async function verifyUpdateTree(root, allowed, onProgress = () => { }) {
+  const manifestPath = path.join(root, MANIFEST_NAME);
+  const sigPath = path.join(root, SIGNATURE_NAME);
+  if (!fs.existsSync(manifestPath) || !fs.existsSync(sigPath)) {
+    throw new Error('Mise à jour refusée: archive non signée (manifest ou signature absent)');
+  }
+  const { manifest, files } = parseSignedManifest(fs.readFileSync(manifestPath), fs.readFileSync(sigPath, 'utf8'), allowed);
+  const listed = new Set(files.map(f => f.path));
+
+  // Aucun fichier non signé ne doit accompagner la mise à jour
+  for (const item of allowed) {
+    if (!fs.existsSync(path.join(root, item))) continue;
+    for (const rel of listFilesRel(root, item, [])) {
+      if (!listed.has(rel)) throw new Error(`Mise à jour refusée: fichier non signé (${rel})`);
+    }
+  }
+
+  let done = 0;
+  for (const f of files) {
+    const abs = path.join(root, ...f.path.split('/'));
+    let st = null;
+    try { st = fs.statSync(abs); } catch { }
+    if (!st || !st.isFile()) throw new Error(`Mise à jour refusée: fichier manquant (${f.path})`);
+    if (st.size !== f.size || (await sha256File(abs)) !== f.sha256) {
+      throw new Error(`Mise à jour refusée: empreinte invalide (${f.path})`);
+    }
+    onProgress(++done, files.length);
+  }
+  return { manifest, files };
+}
+
+module.exports = {
+  UPDATE_PUBLIC_KEY,
+  MANIFEST_NAME,
+  SIGNATURE_NAME,
+  ED25519_SPKI_PREFIX,
+  sha256File,
+  verifyManifestSignature,
+  parseSignedManifest,
+  verifyUpdateTree
+};